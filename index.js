@@ -1,326 +1,3042 @@
 'use strict'
 
 const debug = require('debug')('topico')
-const pubsub = require('mitt')()
+const mitt = require('mitt')
 const uid = require('ulid').ulid
+const schema = require('./lib/schema.js')
+const errors = require('./lib/errors.js')
+const channel = require('./lib/channel.js')
+const match = require('./lib/match.js')
 
 /**
- * The list of valid topics, which is used to create the enumeration. This list
- * will grow as new topics are added.
+ * The descriptors of the topics that every instance starts out with. Each
+ * instance keeps its own list of topics, which will grow as new topics are
+ * added.
  * @type {Array}
  */
-const validTopics = [
-  /**
-   * This topic is intended for general announcements regarding expected
-   * activity. It should not be used for reporting errors or other unplanned
-   * events.
-   */
-  'INFO',
-
-  /**
-   * This topic is intended for information about any errors that occur.
-   */
-  'ERROR'
+const DEFAULT_TOPICS = [
+  {
+    name: 'INFO',
+    description: 'General announcements regarding expected activity. Not to be used for reporting errors or other unplanned events.'
+  },
+  {
+    name: 'ERROR',
+    description: 'Information about any errors that occur. Errors thrown by listeners on other topics are automatically published here.'
+  },
+  {
+    name: 'CIRCUIT',
+    description: 'Changes in the state of the circuit breaker of any topic. Published automatically; not to be used for anything else.'
+  }
 ]
 
 /**
- * The enumeration of valid topics.
+ * The properties of a topic descriptor that contain metadata (as opposed to
+ * the name or validators), along with the type of value each one accepts.
+ * @type {Object}
+ */
+const METADATA_TYPES = {
+  description: ['string'],
+  owner: ['string'],
+  deprecated: ['boolean', 'string'],
+  since: ['string']
+}
+
+/**
+ * The ways in which a request can be dispatched to exactly one of the handlers
+ * (added with `handle()`) on a topic, as set by the "dispatch" property of a
+ * topic descriptor.
+ * @type {Array}
+ */
+const DISPATCH_STRATEGIES = ['round-robin', 'least-in-flight', 'random']
+
+/**
+ * The default number of milliseconds to wait before "timing out" a pending
+ * request.
+ * @type {Number}
+ */
+const DEFAULT_REQUEST_TTL = 4200
+
+/**
+ * The default settings for the "backoff" option of `request()`: the number of
+ * milliseconds to wait before the first retry, the number to multiply that by
+ * for each retry after that, the most to wait between any two attempts, and
+ * the fraction of each delay that may be randomly taken off.
+ * @type {Object}
+ */
+const DEFAULT_BACKOFF = {
+  initial: 100,
+  factor: 2,
+  max: 10000,
+  jitter: 0
+}
+
+/**
+ * The default settings for the "circuitBreaker" property of a topic
+ * descriptor: the number of failed requests in a row that opens the circuit,
+ * and the number of milliseconds to wait after that before letting a trial
+ * request through.
+ * @type {Object}
+ */
+const DEFAULT_CIRCUIT_BREAKER = {
+  threshold: 5,
+  coolDown: 30000
+}
+
+/**
+ * The ways in which an iterator returned by `stream()` can deal with a payload
+ * that arrives while its buffer is full (see `channel.createChannel()`).
+ * @type {Array}
+ */
+const OVERFLOW_STRATEGIES = ['drop-oldest', 'drop-newest', 'error']
+
+/**
+ * The default options for `stream()`: the most payloads to hold while the
+ * consumer catches up, and what to do when there are too many.
  * @type {Object}
  */
-let topicEnum = {}
+const DEFAULT_STREAM_OPTIONS = {
+  bufferSize: 100,
+  overflow: 'error'
+}
+
+/**
+ * The number of finished requests to remember, so that any response that
+ * arrives after the fact can be reported as either "expired" or "duplicate"
+ * (rather than "unknown").
+ * @type {Number}
+ */
+const SETTLED_LIMIT = 1000
 
 /**
- * The number of milliseconds to wait before "timing out" a pending request.
+ * The longest time limit (in milliseconds) that can be given to a request. Any
+ * longer, and `setTimeout()` fires right away instead (with a warning).
  * @type {Number}
  */
-let requestTTL = 4200
+const MAX_TIMEOUT = 2147483647
+
+/**
+ * The private state of each instance, keyed by the instance itself. Keeping it
+ * here (rather than in module-level variables) is what allows separate
+ * instances to remain completely independent of each other.
+ *
+ * Each entry is a plain object with the following properties:
+ *  - `pubsub`       {Object}   The underlying event emitter.
+ *  - `validTopics`  {Array}    The list of valid topic names.
+ *  - `topicEnum`    {Object}   The enumeration of valid topics.
+ *  - `symbols`      {Map}      The name of each valid topic, keyed by the
+ *                              Symbol value that represents it.
+ *  - `namespace`    {String?}  The namespace for Symbol values that are shared
+ *                              across instances (see `createTopicEnumeration`).
+ *  - `requestTTL`   {Number}   The number of milliseconds to wait before
+ *                              "timing out" a pending request.
+ *  - `patterns`     {Array}    The subscriptions made with `listenPattern()`,
+ *                              which need to be applied to topics that are
+ *                              added later on.
+ *  - `registry`     {Map}      The metadata, payload validators, and other
+ *                              settings from the descriptor of each topic,
+ *                              keyed by topic name.
+ *  - `cursors`      {Map}      The position of the next handler to use for
+ *                              the "round-robin" dispatch strategy, keyed by
+ *                              topic name.
+ *  - `pending`      {Map}      The requests that are still waiting for a
+ *                              response, keyed by tracking number. Each entry
+ *                              is a plain object with the properties
+ *                              `topicName` and `cancel` (a function that
+ *                              rejects the request with the given error).
+ *  - `caches`       {Map}      The cached responses for each topic that has
+ *                              the "cache" property, keyed by topic name. Each
+ *                              entry is a plain object with the properties
+ *                              `entries` (a Map of `{ value, expires }`) and
+ *                              `inFlight` (a Map of promises), both keyed by
+ *                              the cache key of the query.
+ *  - `breakers`     {Map}      The circuit breaker for each topic that has
+ *                              the "circuitBreaker" property, keyed by topic
+ *                              name. Each entry is a plain object with the
+ *                              properties `state` ("closed", "open", or
+ *                              "half-open"), `failures` (the number of failed
+ *                              requests in a row), `openedAt`, and `trial`
+ *                              (whether a trial request is in progress).
+ *  - `stickies`     {Map}      The last payload published on each topic that
+ *                              has the "sticky" property, keyed by topic name.
+ *                              Each entry is a plain object with the
+ *                              properties `value` and `time`.
+ *  - `histories`    {Map}      The most recent payloads published on each
+ *                              topic that has the "history" property, oldest
+ *                              first, keyed by topic name. Each entry is a
+ *                              frozen object with the properties `payload`
+ *                              and `timestamp`.
+ *  - `streams`      {Map}      The channels behind the iterators returned by
+ *                              `stream()` that are still open, as a Set for
+ *                              each topic, keyed by topic name.
+ *  - `settled`      {Map}      The most recent requests that are no longer
+ *                              pending (up to `SETTLED_LIMIT`), keyed by
+ *                              tracking number. Each entry is a plain object
+ *                              with the properties `topicName`, `startTime`,
+ *                              and `reason` (either "expired" or "duplicate",
+ *                              describing any response that arrives later).
+ *  - `onUnmatchedResponse`     The function to call for each response that
+ *                 {Function?}  does not match a pending request.
+ *  - `sealed`       {Boolean}  Whether `sealTopics()` has been called.
+ *  - `strict`       {Boolean}  Whether the instance was created in strict
+ *                              mode.
+ *
+ * @type {WeakMap}
+ */
+const internals = new WeakMap()
+
+/**
+ * The payloads published on the "ERROR" topic by `reportListenerError()`. A
+ * listener that fails while handling one of these is not reported again, since
+ * that could otherwise go on forever.
+ * @type {WeakSet}
+ */
+const errorEnvelopes = new WeakSet()
+
+/**
+ * The payloads published by `openRequest()`, which is how `handle()` tells
+ * requests apart from anything else published on the same topic.
+ * @type {WeakSet}
+ */
+const requestEnvelopes = new WeakSet()
+
+/**
+ * The handlers chosen for each request on a topic that has a dispatch
+ * strategy, keyed by the payload published by `openRequest()`. Each value is
+ * a list of listeners (added by `handle()`), in the order they should be
+ * tried.
+ * @type {WeakMap}
+ */
+const dispatchPlans = new WeakMap()
+
+/**
+ * Returns the value at the given (dot-separated) path within the enumeration,
+ * or `undefined` if there is no such path.
+ *
+ * @param  {Object}   enumeration   The enumeration of valid topics.
+ *
+ * @param  {String}   name          The full name of the topic.
+ *
+ * @return {Symbol|Object?}
+ */
+function lookup (enumeration, name) {
+  return name.split('.').reduce((node, segment) => {
+    if (node != null && Object.hasOwnProperty.call(node, segment)) {
+      return node[segment]
+    }
+
+    return undefined
+  }, enumeration)
+}
 
 /**
  * Returns a frozen object that represents the current enumeration of valid
  * topics. The "enumeration" is really just a hashtable (or dictionary) with
- * each topic represented by a key and unique value.
+ * each topic represented by a key and unique value. Hierarchical topic names
+ * (such as "USER.LOGIN") are represented by nested objects, each of which is
+ * frozen as well.
  *
  * When calling this function, the existing enumeration must be supplied in
  * order to carry over existing Symbol values.
  *
+ * New Symbol values are unique to the instance, unless a namespace is
+ * supplied, in which case they are taken from the global Symbol registry (so
+ * that any other instance with the same namespace, even one that belongs to a
+ * different copy of this module, will use the very same values).
+ *
+ * @param  {Object}    existingEnum   The current enumeration.
+ *
+ * @param  {Array}     topicNames     The names of all valid topics.
+ *
+ * @param  {String?}   namespace      The namespace for shared Symbol values.
+ *
  * @return {Object}
  */
-function createTopicEnumeration (existingEnum, topicNames) {
+function createTopicEnumeration (existingEnum, topicNames, namespace) {
   const dictionary = {}
 
   topicNames.forEach((name) => {
-    if (Object.hasOwnProperty.call(existingEnum, name)) {
-      dictionary[name] = existingEnum[name]
+    const segments = name.split('.')
+    const lastSegment = segments.pop()
+
+    const node = segments.reduce((parent, segment) => {
+      if (!Object.hasOwnProperty.call(parent, segment)) {
+        parent[segment] = {}
+      }
+
+      return parent[segment]
+    }, dictionary)
+
+    const existing = lookup(existingEnum, name)
+
+    if (typeof existing === 'symbol') {
+      node[lastSegment] = existing
+    } else if (namespace) {
+      node[lastSegment] = Symbol.for(`topico:${namespace}:${name}`)
     } else {
-      dictionary[name] = Symbol(name)
+      node[lastSegment] = Symbol(name)
+    }
+  })
+
+  return deepFreeze(dictionary)
+}
+
+/**
+ * Freezes the given object, along with any nested plain objects.
+ *
+ * @param  {Object}   obj   The object to freeze.
+ *
+ * @return {Object}   The same object.
+ */
+function deepFreeze (obj) {
+  Object.keys(obj).forEach((key) => {
+    if (typeof obj[key] === 'object') {
+      deepFreeze(obj[key])
     }
   })
 
-  return Object.freeze(dictionary)
+  return Object.freeze(obj)
+}
+
+/**
+ * Returns `true` if the given topic name matches the given pattern. Both are
+ * supplied as arrays of segments (i.e., the result of splitting on "."). Within
+ * the pattern, "*" matches exactly one segment, and "#" matches zero or more
+ * segments.
+ *
+ * @param  {Array}   patternSegments   The segments of the pattern.
+ *
+ * @param  {Array}   nameSegments      The segments of the topic name.
+ *
+ * @return {Boolean}
+ */
+function matchesPattern (patternSegments, nameSegments) {
+  if (patternSegments.length === 0) {
+    return (nameSegments.length === 0)
+  }
+
+  const head = patternSegments[0]
+  const rest = patternSegments.slice(1)
+
+  if (head === '#') {
+    for (let i = 0; i <= nameSegments.length; i++) {
+      if (matchesPattern(rest, nameSegments.slice(i))) {
+        return true
+      }
+    }
+
+    return false
+  }
+
+  if (nameSegments.length === 0) {
+    return false
+  }
+
+  return ((head === '*' || head === nameSegments[0]) && matchesPattern(rest, nameSegments.slice(1)))
+}
+
+/**
+ * Registers the listener for a pattern subscription on the named topic. The
+ * callback receives the topic as its second parameter, since it may be called
+ * for more than one topic.
+ *
+ * @param  {Object}   state       The private state of the instance.
+ *
+ * @param  {Object}   pattern     An entry from `state.patterns`.
+ *
+ * @param  {String}   topicName   The name of the (matching) topic.
+ *
+ * @return {undefined}
+ */
+function applyPattern (state, pattern, topicName) {
+  const fn = (payload) => {
+    return pattern.callback(payload, lookup(state.topicEnum, topicName))
+  }
+
+  fn.__callback__ = pattern.callback
+
+  pattern.listeners.set(topicName, fn)
+  state.pubsub.on(topicName, fn)
+  debug('Registered pattern listener "%s" on topic "%s"', pattern.text, topicName)
+}
+
+/**
+ * Updates the enumeration to match the current list of valid topics, along
+ * with the lookup table used by `validate()`.
+ *
+ * @param  {Object}   state   The private state of the instance.
+ *
+ * @return {undefined}
+ */
+function updateEnumeration (state) {
+  state.topicEnum = createTopicEnumeration(state.topicEnum, state.validTopics, state.namespace)
+  state.symbols = new Map(state.validTopics.map((name) => {
+    return [lookup(state.topicEnum, name), name]
+  }))
 }
 
 /**
  * Retuns the name of the topic if found in the enumeration, otherwise `null`.
  *
+ * Only the exact Symbol values issued by this instance are recognized, so a
+ * look-alike such as `Symbol('INFO')` will not be accepted in place of
+ * `topics.INFO`.
+ *
+ * @param  {Object}    state   The private state of the instance.
+ *
  * @param  {Symbol}    topic   The value to check.
  *
  * @return {String?}
  */
-function validate (topic) {
-  const topicName = (topic ? topic.toString() : '')
+function validate (state, topic) {
+  if (state.symbols.has(topic)) {
+    return state.symbols.get(topic)
+  }
+
+  return null
+}
+
+/**
+ * Returns `true` if the value looks like an instance of `AbortSignal`. (The
+ * check is done this way, rather than with `instanceof`, so that signals from
+ * polyfills and other realms are accepted too.)
+ *
+ * @param  {any}   value   The value to check.
+ *
+ * @return {Boolean}
+ */
+function isAbortSignal (value) {
+  return (value !== null && typeof value === 'object' && typeof value.aborted === 'boolean' && typeof value.addEventListener === 'function' && typeof value.removeEventListener === 'function')
+}
+
+/**
+ * Returns `true` if the value can be used as the "timeout" option: a finite,
+ * non-negative number that is no larger than `MAX_TIMEOUT`.
+ *
+ * @param  {any}   value   The value to check.
+ *
+ * @return {Boolean}
+ */
+function isValidTimeout (value) {
+  return (typeof value === 'number' && value >= 0 && value <= MAX_TIMEOUT)
+}
+
+/**
+ * Returns the error used to reject a request that has been aborted. It follows
+ * the same conventions as the one used by Node.js itself (and web browsers).
+ *
+ * @return {Error}
+ */
+function createAbortError () {
+  const err = new Error('The request was aborted.')
+
+  err.name = 'AbortError'
+  err.code = 'ABORT_ERR'
+
+  return err
+}
+
+/**
+ * Returns the key used to cache the response to a query, unless the topic
+ * has its own "key" function. Equivalent queries get the same key, regardless
+ * of the order of the properties of any plain objects within them.
+ *
+ * @param  {any}   query   The value passed into `request()`.
+ *
+ * @return {String?}
+ */
+function hashQuery (query) {
+  return JSON.stringify(query, (key, value) => {
+    if (!match.isPlainObject(value)) {
+      return value
+    }
 
-  if (topicName.length > 0) {
-    const match = validTopics.filter((key) => { return (topicName === `Symbol(${key})`) })
+    return Object.keys(value).sort().reduce((sorted, property) => {
+      sorted[property] = value[property]
+      return sorted
+    }, {})
+  })
+}
 
-    if (match.length > 0) {
-      return match[0]
+/**
+ * Returns a function that checks values for the named topic. The returned
+ * function has the same signature as the ones returned by `schema.compile()`.
+ *
+ * @param  {String}            topicName   The name of the topic (for error
+ *                                         messages).
+ *
+ * @param  {String}            property    The name of the descriptor property
+ *                                         (for error messages).
+ *
+ * @param  {Object|Function}   spec        Either a schema (see
+ *                                         "lib/schema.js"), or a function that
+ *                                         returns a truthy value if the value
+ *                                         it receives is valid.
+ *
+ * @return {Function}
+ */
+function createValidator (topicName, property, spec) {
+  if (typeof spec === 'function') {
+    return (value, path) => {
+      return (spec(value) ? null : { path: path, message: 'was rejected by the validator' })
     }
   }
 
-  return null
+  if (spec !== null && typeof spec === 'object') {
+    return schema.compile(spec)
+  }
+
+  throw new errors.InvalidArgumentError(`The "${property}" property of the descriptor for topic "${topicName}" must be either a schema or a function.`)
+}
+
+/**
+ * Throws an error if the value is not valid for the named topic.
+ *
+ * @param  {Object}   state       The private state of the instance.
+ *
+ * @param  {String}   topicName   The name of the topic.
+ *
+ * @param  {String}   property    Which validator to use: "payload" (for data
+ *                                that is published or requested) or
+ *                                "response".
+ *
+ * @param  {any}      value       The value to check.
+ *
+ * @param  {String}   label       What to call the value in the error message
+ *                                (such as "payload", "query", or "response").
+ *
+ * @return {undefined}
+ */
+function checkPayload (state, topicName, property, value, label) {
+  const validator = state.registry.get(topicName)[property]
+
+  if (validator) {
+    const violation = validator.check(value, label)
+
+    if (violation) {
+      throw new errors.InvalidArgumentError(`The ${label} for topic "${topicName}" is not valid: "${violation.path}" ${violation.message}.`)
+    }
+  }
+}
+
+/**
+ * Returns the properties of the registry entry that should be replaced, based
+ * on the given topic descriptor. Throws an error if any of the properties of
+ * the descriptor are not valid.
+ *
+ * @param  {String}   topicName    The name of the topic.
+ *
+ * @param  {Object}   descriptor   The descriptor passed into `addTopic()`.
+ *
+ * @return {Object}
+ */
+function parseDescriptor (topicName, descriptor) {
+  const update = {}
+
+  Object.keys(METADATA_TYPES).forEach((property) => {
+    const value = descriptor[property]
+
+    if (value !== undefined) {
+      if (!~METADATA_TYPES[property].indexOf(typeof value)) {
+        throw new errors.InvalidArgumentError(`The "${property}" property of the descriptor for topic "${topicName}" must be of type ${METADATA_TYPES[property].join(' or ')}.`)
+      }
+
+      update[property] = value
+    }
+  })
+
+  if (descriptor.dispatch !== undefined) {
+    if (descriptor.dispatch !== null && !~DISPATCH_STRATEGIES.indexOf(descriptor.dispatch)) {
+      throw new errors.InvalidArgumentError(`The "dispatch" property of the descriptor for topic "${topicName}" must be one of "round-robin", "least-in-flight", or "random".`)
+    }
+
+    update.dispatch = descriptor.dispatch
+  }
+
+  if (descriptor.circuitBreaker !== undefined) {
+    const breaker = descriptor.circuitBreaker
+
+    if (breaker !== null && !match.isPlainObject(breaker)) {
+      throw new errors.InvalidArgumentError(`The "circuitBreaker" property of the descriptor for topic "${topicName}" must be a plain object.`)
+    }
+
+    if (breaker === null) {
+      update.circuitBreaker = null
+    } else {
+      update.circuitBreaker = Object.assign({}, DEFAULT_CIRCUIT_BREAKER)
+
+      Object.keys(DEFAULT_CIRCUIT_BREAKER).forEach((key) => {
+        const value = breaker[key]
+
+        if (value != null) {
+          if (key === 'threshold' ? !(Number.isInteger(value) && value > 0) : !(typeof value === 'number' && value >= 0)) {
+            throw new errors.InvalidArgumentError(`The "circuitBreaker.${key}" property of the descriptor for topic "${topicName}" must be a ${key === 'threshold' ? 'positive integer' : 'non-negative number'}.`)
+          }
+
+          update.circuitBreaker[key] = value
+        }
+      })
+    }
+  }
+
+  if (descriptor.cache !== undefined) {
+    const cache = descriptor.cache
+
+    if (cache !== null && !(match.isPlainObject(cache) && typeof cache.ttl === 'number' && cache.ttl >= 0 && (cache.key == null || typeof cache.key === 'function'))) {
+      throw new errors.InvalidArgumentError(`The "cache" property of the descriptor for topic "${topicName}" must be a plain object with a non-negative "ttl" (and an optional "key" function).`)
+    }
+
+    update.cache = (cache === null ? null : { ttl: cache.ttl, key: cache.key || hashQuery })
+  }
+
+  if (descriptor.sticky !== undefined) {
+    const sticky = descriptor.sticky
+
+    if (typeof sticky !== 'boolean' && sticky !== null && !(match.isPlainObject(sticky) && (sticky.maxAge == null || (typeof sticky.maxAge === 'number' && sticky.maxAge >= 0)))) {
+      throw new errors.InvalidArgumentError(`The "sticky" property of the descriptor for topic "${topicName}" must be either a boolean or a plain object with a non-negative "maxAge".`)
+    }
+
+    if (!sticky) {
+      update.sticky = null
+    } else {
+      update.sticky = { maxAge: (sticky === true || sticky.maxAge == null ? null : sticky.maxAge) }
+    }
+  }
+
+  if (descriptor.history !== undefined) {
+    const history = descriptor.history
+
+    if (history !== null && !(match.isPlainObject(history) && (history.size != null || history.maxAge != null) && (history.size == null || (Number.isInteger(history.size) && history.size > 0)) && (history.maxAge == null || (typeof history.maxAge === 'number' && history.maxAge >= 0)))) {
+      throw new errors.InvalidArgumentError(`The "history" property of the descriptor for topic "${topicName}" must be a plain object with a positive integer "size", a non-negative "maxAge", or both.`)
+    }
+
+    update.history = (history === null ? null : { size: (history.size == null ? null : history.size), maxAge: (history.maxAge == null ? null : history.maxAge) })
+  }
+
+  const validatorProperties = ['payload', 'response']
+
+  validatorProperties.forEach((property) => {
+    const spec = descriptor[property]
+
+    if (spec !== undefined) {
+      update[property] = (spec === null ? null : { spec: spec, check: createValidator(topicName, property, spec) })
+    }
+  })
+
+  return update
+}
+
+/**
+ * Returns a plain-data description of a validator from the registry.
+ *
+ * @param  {Object?}   validator   The `payload` or `response` property of a
+ *                                 registry entry.
+ *
+ * @return {Object?}
+ */
+function describeValidator (validator) {
+  if (validator == null) {
+    return null
+  }
+
+  if (typeof validator.spec === 'function') {
+    return { validator: 'function' }
+  }
+
+  return { validator: 'schema', schema: JSON.parse(JSON.stringify(validator.spec)) }
+}
+
+/**
+ * Logs a warning the first time that a deprecated topic is used.
+ *
+ * @param  {Object}   state       The private state of the instance.
+ *
+ * @param  {String}   topicName   The name of the topic being used.
+ *
+ * @return {undefined}
+ */
+function warnIfDeprecated (state, topicName) {
+  const entry = state.registry.get(topicName)
+
+  if (entry.deprecated && !entry.warned) {
+    entry.warned = true
+
+    if (typeof entry.deprecated === 'string') {
+      debug('WARNING: The topic "%s" is deprecated. %s', topicName, entry.deprecated)
+    } else {
+      debug('WARNING: The topic "%s" is deprecated.', topicName)
+    }
+  }
 }
 
-class TopicalPubSub {
-  constructor () {
-    topicEnum = createTopicEnumeration({}, validTopics)
+/**
+ * Calls every listener on the named topic with the given data. This is the
+ * part of `say()` that happens after all of the parameters have been checked.
+ *
+ * Each listener is called in isolation: if one throws an error (or returns a
+ * promise that is rejected), the remaining listeners are still called, and the
+ * error is republished on the "ERROR" topic.
+ *
+ * @param  {TopicalPubSub}   bus           The instance to publish on.
+ *
+ * @param  {String}          topicName     The name of the topic.
+ *
+ * @param  {any}             data          The value to publish.
+ *
+ * @param  {Function?}       onRejection   If given, this is called with the
+ *                                         reason for any rejected promise
+ *                                         returned by a listener, instead of
+ *                                         republishing it.
+ *
+ * @return {Number}   The number of listeners that were called.
+ */
+function deliver (bus, topicName, data, onRejection) {
+  const state = internals.get(bus)
+
+  debug('Saying %o on topic "%s"', data, topicName)
+
+  /**
+   * Errors thrown synchronously are held back until every listener has been
+   * called (and any one-time listeners have been removed), so that nothing is
+   * published on the "ERROR" topic in the middle of delivering this message.
+   * Rejected promises are reported whenever they happen.
+   */
+  const failures = []
+  let delivered = false
+
+  const onError = (err) => {
+    if (delivered) {
+      reportListenerError(bus, topicName, data, err)
+    } else {
+      failures.push(err)
+    }
+  }
+
+  const listeners = (state.pubsub.all.get(topicName) || []).slice()
+
+  listeners.forEach((fn) => {
+    callSafely(() => fn(data), onError, onRejection)
+  })
+
+  if (state.pubsub.all.has(topicName)) {
+    debug('Removing one-time listeners...')
+
+    state.pubsub.all
+      .get(topicName)
+      .filter((fn) => { return fn.__onlyOnce__ })
+      .forEach((fn) => {
+        state.pubsub.off(topicName, fn)
+      })
+
+    debug('...done')
+  }
+
+  delivered = true
+
+  failures.forEach((err) => {
+    reportListenerError(bus, topicName, data, err)
+  })
+
+  return listeners.length
+}
+
+/**
+ * Returns the last payload published on a topic that has the "sticky"
+ * property, unless it is older than the "maxAge" of the topic (in which case
+ * it is forgotten).
+ *
+ * @param  {Object}   state       The private state of the instance.
+ *
+ * @param  {String}   topicName   The name of the topic.
+ *
+ * @return {Object?}   A plain object with the properties `value` and `time`,
+ *                     or `null` if there is no sticky value.
+ */
+function getSticky (state, topicName) {
+  const entry = state.stickies.get(topicName)
+
+  if (!entry) {
+    return null
+  }
+
+  const maxAge = state.registry.get(topicName).sticky.maxAge
+
+  if (maxAge !== null && Date.now() - entry.time >= maxAge) {
+    debug('The sticky value on topic "%s" has expired', topicName)
+    state.stickies.delete(topicName)
+    return null
+  }
+
+  return entry
+}
+
+/**
+ * Calls a listener that was just registered with the sticky value of the
+ * topic (if any). This happens asynchronously, and only if the listener is
+ * still registered by then, and nothing newer has been published on the topic
+ * in the meantime (since the listener will have received that instead).
+ *
+ * @param  {TopicalPubSub}   bus         The instance that the listener was
+ *                                       registered on.
+ *
+ * @param  {String}          topicName   The name of the topic.
+ *
+ * @param  {Function}        fn          The function that was registered.
+ *
+ * @return {undefined}
+ */
+function replaySticky (bus, topicName, fn) {
+  const state = internals.get(bus)
+  const entry = getSticky(state, topicName)
+
+  if (!entry) {
+    return
+  }
+
+  process.nextTick(() => {
+    const listeners = state.pubsub.all.get(topicName) || []
+
+    if (getSticky(state, topicName) !== entry || !~listeners.indexOf(fn)) {
+      return
+    }
+
+    if (fn.__onlyOnce__) {
+      state.pubsub.off(topicName, fn)
+    }
+
+    debug('Replaying the sticky value on topic "%s"', topicName)
+    callSafely(() => fn(entry.value), (err) => { reportListenerError(bus, topicName, entry.value, err) })
+  })
+}
+
+/**
+ * Returns the payloads kept for a topic that has the "history" property,
+ * after dropping any that are beyond the "size" or "maxAge" of the topic.
+ *
+ * @param  {Object}   state       The private state of the instance.
+ *
+ * @param  {String}   topicName   The name of the topic.
+ *
+ * @return {Array}   The entries, oldest first (see `internals`). This is the
+ *                   array that is kept in the state, not a copy.
+ */
+function getHistory (state, topicName) {
+  const settings = state.registry.get(topicName).history
+  const entries = state.histories.get(topicName) || []
+
+  if (settings && settings.size !== null && entries.length > settings.size) {
+    entries.splice(0, entries.length - settings.size)
+  }
+
+  if (settings && settings.maxAge !== null) {
+    const now = Date.now()
+    const fresh = entries.findIndex((entry) => { return (now - entry.timestamp < settings.maxAge) })
+
+    entries.splice(0, (fresh === -1 ? entries.length : fresh))
+  }
+
+  return entries
+}
+
+/**
+ * Returns a handle that removes a single subscription (and only that
+ * subscription) when its `unsubscribe` method is called. Calling `unsubscribe`
+ * more than once is safely ignored. Where the runtime supports it, the handle
+ * is also disposable via `Symbol.dispose`.
+ *
+ * @param  {Function}   remove   The function that actually removes the
+ *                               subscription. It will be called no more than
+ *                               once.
+ *
+ * @return {Object}
+ */
+function createSubscription (remove) {
+  let active = true
+
+  const unsubscribe = () => {
+    if (active) {
+      active = false
+      remove()
+    }
+  }
+
+  const subscription = { unsubscribe: unsubscribe }
+
+  if (typeof Symbol.dispose === 'symbol') {
+    subscription[Symbol.dispose] = unsubscribe
+  }
+
+  return Object.freeze(subscription)
+}
+
+/**
+ * Returns a function that removes a single listener from the named topic.
+ *
+ * @param  {Object}     state       The private state of the instance.
+ *
+ * @param  {String}     topicName   The name of the topic that the listener was
+ *                                  registered on.
+ *
+ * @param  {Function}   fn          The function that was registered.
+ *
+ * @return {Function}
+ */
+function removeListener (state, topicName, fn) {
+  return () => {
+    state.pubsub.off(topicName, fn)
+    debug('Removed listener from topic "%s"', topicName)
+  }
+}
+
+/**
+ * Closes every iterator returned by `stream()` for the named topic, once the
+ * consumer has read everything that was buffered, since nothing more will be
+ * published to them.
+ *
+ * @param  {Object}   state       The private state of the instance.
+ *
+ * @param  {String}   topicName   The name of the topic.
+ *
+ * @param  {Error?}   err         The error to end each iteration with, if it
+ *                                should fail rather than simply finish.
+ *
+ * @return {undefined}
+ */
+function closeStreams (state, topicName, err) {
+  const streams = state.streams.get(topicName)
+
+  if (!streams) {
+    return
+  }
+
+  debug('Closing %d stream(s) on topic "%s"', streams.size, topicName)
+  state.streams.delete(topicName)
+
+  streams.forEach((stream) => {
+    if (err) {
+      stream.fail(err)
+    } else {
+      stream.end()
+    }
+  })
+}
+
+/**
+ * Calls the given function, making sure that any error it throws (or any
+ * rejection of the promise it returns) is passed to `onError` instead of
+ * propagating to the caller.
+ *
+ * @param  {Function}    fn            The function to call (without any
+ *                                     arguments).
+ *
+ * @param  {Function}    onError       The function to call with the error, if
+ *                                     any.
+ *
+ * @param  {Function?}   onRejection   The function to call instead of
+ *                                     `onError` if the promise is rejected.
+ *
+ * @return {undefined}
+ */
+function callSafely (fn, onError, onRejection) {
+  let result = null
+
+  try {
+    result = fn()
+  } catch (err) {
+    onError(err)
+    return
+  }
+
+  if (result != null && typeof result.then === 'function') {
+    result.then(null, onRejection || onError)
+  }
+}
+
+/**
+ * Republishes an error thrown by a listener on the "ERROR" topic, as a frozen
+ * plain object with the properties `topic` (the original topic), `payload`
+ * (the data that the listener was called with), and `error`.
+ *
+ * @param  {TopicalPubSub}   bus         The instance that the listener was
+ *                                       registered on.
+ *
+ * @param  {String}          topicName   The name of the original topic.
+ *
+ * @param  {any}             payload     The data that the listener was called
+ *                                       with.
+ *
+ * @param  {any}             error       The error thrown by the listener.
+ *
+ * @return {undefined}
+ */
+function reportListenerError (bus, topicName, payload, error) {
+  const state = internals.get(bus)
+
+  if (errorEnvelopes.has(payload)) {
+    debug('Listener failed while handling an error on topic "%s"; it will not be reported again: %o', topicName, error)
+    return
+  }
+
+  debug('Listener on topic "%s" failed: %o', topicName, error)
+
+  if (!state.registry.has('ERROR')) {
+    debug('The "ERROR" topic has been removed, so this will not be reported')
+    return
+  }
+
+  const envelope = Object.freeze({
+    topic: lookup(state.topicEnum, topicName),
+    payload: payload,
+    error: error
+  })
+
+  errorEnvelopes.add(envelope)
+  deliver(bus, 'ERROR', envelope)
+}
+
+/**
+ * Checks the "retries" and "backoff" options for `request()`, and fills in the
+ * defaults for anything that was left out.
+ *
+ * @param  {Object}   settings   The options passed into `request()`.
+ *
+ * @return {Object}   A plain object with the properties `retries` (a number)
+ *                    and `backoff` (an object like `DEFAULT_BACKOFF`).
+ *
+ * @throws {InvalidArgumentError}   If either option is not valid.
+ */
+function parseRetryOptions (settings) {
+  const retries = (settings.retries == null ? 0 : settings.retries)
+
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw new errors.InvalidArgumentError('The "retries" option for "request()" must be a non-negative integer.')
+  }
+
+  if (settings.backoff != null && !match.isPlainObject(settings.backoff)) {
+    throw new errors.InvalidArgumentError('The "backoff" option for "request()" must be a plain object.')
+  }
+
+  const backoff = Object.assign({}, DEFAULT_BACKOFF)
+
+  Object.keys(DEFAULT_BACKOFF).forEach((key) => {
+    const value = (settings.backoff || {})[key]
+
+    if (value != null) {
+      if (typeof value !== 'number' || !(value >= 0) || (key === 'jitter' && value > 1)) {
+        throw new errors.InvalidArgumentError(`The "backoff.${key}" option for "request()" must be a ${key === 'jitter' ? 'number between 0 and 1' : 'non-negative number'}.`)
+      }
+
+      backoff[key] = value
+    }
+  })
+
+  return { retries: retries, backoff: backoff }
+}
+
+/**
+ * Checks the "timeout" and "signal" options, which are shared by `request()`
+ * and its variations.
+ *
+ * @param  {String}   methodName   The name of the method (for error messages).
+ *
+ * @param  {Object}   settings     The options passed into the method.
+ *
+ * @return {undefined}
+ *
+ * @throws {InvalidArgumentError}   If either option is not valid.
+ */
+function checkRequestOptions (methodName, settings) {
+  if (settings.timeout != null && typeof settings.timeout !== 'number') {
+    throw new errors.InvalidArgumentError(`The "timeout" option for "${methodName}()" must be numeric.`)
+  }
+
+  if (settings.timeout != null && !isValidTimeout(settings.timeout)) {
+    throw new errors.InvalidArgumentError(`The "timeout" option for "${methodName}()" must be a non-negative number no larger than ${MAX_TIMEOUT}.`)
+  }
+
+  if (settings.signal != null && !isAbortSignal(settings.signal)) {
+    throw new errors.InvalidArgumentError(`The "signal" option for "${methodName}()" must be an AbortSignal.`)
+  }
+}
+
+/**
+ * Returns the number of milliseconds to wait before the next attempt of a
+ * request.
+ *
+ * @param  {Object}   backoff    See `DEFAULT_BACKOFF`.
+ *
+ * @param  {Number}   attempts   The number of attempts that have failed so
+ *                               far.
+ *
+ * @return {Number}
+ */
+function getBackoffDelay (backoff, attempts) {
+  const delay = Math.min(backoff.initial * Math.pow(backoff.factor, attempts - 1), backoff.max)
+
+  return delay * (1 - (backoff.jitter * Math.random()))
+}
+
+/**
+ * Returns `true` if the error means that nothing responded to a request (as
+ * opposed to a responder that sent back an error, for example).
+ *
+ * @param  {any}   err   The reason that the request failed.
+ *
+ * @return {Boolean}
+ */
+function isUnresponsive (err) {
+  return (err instanceof errors.RequestTimeoutError || err instanceof errors.NoResponderError)
+}
+
+/**
+ * Checks the circuit breaker (if any) of the topic before a request is
+ * published on it. A circuit that has been open for long enough becomes
+ * "half-open", which lets exactly one trial request through.
+ *
+ * @param  {TopicalPubSub}   bus     The instance to publish on.
+ *
+ * @param  {Symbol}          topic   The requested topic.
+ *
+ * @return {Object?}   A "ticket" to pass to `recordOutcome()` once the request
+ *                     is finished, or `null` if there is no circuit breaker.
+ *
+ * @throws {CircuitOpenError}   If the circuit is open, or is half-open and
+ *                              the trial request is still in progress.
+ */
+function admitRequest (bus, topic) {
+  const state = internals.get(bus)
+  const topicName = validate(state, topic)
+  const settings = (topicName ? state.registry.get(topicName).circuitBreaker : null)
+
+  if (!settings) {
+    return null
+  }
+
+  if (!state.breakers.has(topicName)) {
+    state.breakers.set(topicName, { state: 'closed', failures: 0, openedAt: null, trial: false })
+  }
+
+  const breaker = state.breakers.get(topicName)
+
+  if (breaker.state === 'open') {
+    const remaining = breaker.openedAt + settings.coolDown - Date.now()
+
+    if (remaining > 0) {
+      throw new errors.CircuitOpenError(topicName, remaining)
+    }
+
+    setCircuitState(bus, topicName, breaker, 'half-open')
+  }
+
+  if (breaker.state === 'half-open') {
+    if (breaker.trial) {
+      throw new errors.CircuitOpenError(topicName, 0)
+    }
+
+    breaker.trial = true
+  }
+
+  return { topicName: topicName, breaker: breaker, trial: (breaker.state === 'half-open'), done: false }
+}
+
+/**
+ * Updates the circuit breaker of a topic with the outcome of a request that
+ * was let through by `admitRequest()`. Only the first outcome of each request
+ * counts.
+ *
+ * @param  {TopicalPubSub}   bus       The instance that the request was
+ *                                     published on.
+ *
+ * @param  {Object?}         ticket    The value returned by `admitRequest()`.
+ *
+ * @param  {String}          outcome   Either "success", "failure" (nothing
+ *                                     responded), or "ignored" (anything
+ *                                     else, such as an aborted request).
+ *
+ * @return {undefined}
+ */
+function recordOutcome (bus, ticket, outcome) {
+  const state = internals.get(bus)
+
+  if (!ticket || ticket.done || state.breakers.get(ticket.topicName) !== ticket.breaker) {
+    return
+  }
+
+  const breaker = ticket.breaker
+  const settings = state.registry.get(ticket.topicName).circuitBreaker
+
+  ticket.done = true
+
+  if (ticket.trial) {
+    breaker.trial = false
+  }
+
+  if (outcome === 'success') {
+    breaker.failures = 0
+
+    if (breaker.state !== 'closed') {
+      setCircuitState(bus, ticket.topicName, breaker, 'closed')
+    }
+  } else if (outcome === 'failure') {
+    breaker.failures++
+
+    if (ticket.trial || (breaker.state === 'closed' && breaker.failures >= settings.threshold)) {
+      breaker.openedAt = Date.now()
+      setCircuitState(bus, ticket.topicName, breaker, 'open')
+    }
+  }
+}
+
+/**
+ * Changes the state of a circuit breaker, and announces the change on the
+ * "CIRCUIT" topic as a frozen plain object with the properties `topic`,
+ * `state`, `previousState`, and `failures`.
+ *
+ * @param  {TopicalPubSub}   bus         The instance that the topic belongs
+ *                                       to.
+ *
+ * @param  {String}          topicName   The name of the topic.
+ *
+ * @param  {Object}          breaker     The circuit breaker of the topic.
+ *
+ * @param  {String}          newState    Either "closed", "open", or
+ *                                       "half-open".
+ *
+ * @return {undefined}
+ */
+function setCircuitState (bus, topicName, breaker, newState) {
+  const state = internals.get(bus)
+  const previousState = breaker.state
+
+  debug('Circuit breaker for topic "%s" is now %s (was %s)', topicName, newState, previousState)
+  breaker.state = newState
+
+  if (!state.registry.has('CIRCUIT')) {
+    debug('The "CIRCUIT" topic has been removed, so this will not be announced')
+    return
+  }
+
+  deliver(bus, 'CIRCUIT', Object.freeze({
+    topic: lookup(state.topicEnum, topicName),
+    state: newState,
+    previousState: previousState,
+    failures: breaker.failures
+  }))
+}
+
+/**
+ * Chooses which of the handlers (added with `handle()`) on the given topic
+ * should receive the next request, according to the given strategy. The rest
+ * of the handlers follow, in the order that they should be tried if the
+ * first one fails.
+ *
+ * @param  {Object}   state       The internal state of the instance.
+ *
+ * @param  {String}   topicName   The name of the topic.
+ *
+ * @param  {String}   strategy    One of `DISPATCH_STRATEGIES`.
+ *
+ * @return {Array?}   A list of listeners, or `null` if there are no handlers
+ *                    on the topic.
+ */
+function planDispatch (state, topicName, strategy) {
+  const handlers = (state.pubsub.all.get(topicName) || []).filter((fn) => { return !!fn.__run__ })
+
+  if (handlers.length === 0) {
+    return null
+  }
+
+  let first = 0
+
+  if (strategy === 'round-robin') {
+    first = (state.cursors.get(topicName) || 0) % handlers.length
+    state.cursors.set(topicName, first + 1)
+  } else if (strategy === 'least-in-flight') {
+    handlers.forEach((fn, index) => {
+      if (fn.__inFlight__ < handlers[first].__inFlight__) {
+        first = index
+      }
+    })
+  } else {
+    first = Math.floor(Math.random() * handlers.length)
+  }
+
+  return handlers.slice(first).concat(handlers.slice(0, first))
+}
+
+/**
+ * Passes a request to the first handler in the plan. If that handler throws an
+ * error synchronously, then the request falls over to the next one, and so
+ * on.
+ *
+ * @param  {Array}    plan       The list of listeners returned by
+ *                               `planDispatch()`.
+ *
+ * @param  {Object}   envelope   The payload published by `openRequest()`.
+ *
+ * @return {Promise}   Rejected with the error thrown by the last handler, if
+ *                     every one of them fails.
+ */
+function dispatchRequest (plan, envelope) {
+  let failure = null
+
+  for (let i = 0; i < plan.length; i++) {
+    try {
+      return plan[i].__run__(envelope)
+    } catch (err) {
+      debug('Handler %d of %d failed for %s: %o', i + 1, plan.length, envelope.trackingNo, err)
+      failure = err
+    }
+  }
+
+  return Promise.reject(failure)
+}
+
+/**
+ * Attaches the details of a request to an error that was sent in response to
+ * it, so that the caller can tell where the error came from. Any details that
+ * the error already has (for example, from a nested request) are left alone.
+ * Values that cannot be extended (such as strings) are left as-is.
+ *
+ * @param  {any}      err          The error sent by the responder.
+ *
+ * @param  {String}   topicName    The name of the topic of the request.
+ *
+ * @param  {String}   trackingNo   The tracking number of the request.
+ *
+ * @return {any}   The same error.
+ */
+function annotateError (err, topicName, trackingNo) {
+  if (err !== null && (typeof err === 'object' || typeof err === 'function') && Object.isExtensible(err)) {
+    if (err.topic === undefined) {
+      err.topic = topicName
+    }
+
+    if (err.trackingNo === undefined) {
+      err.trackingNo = trackingNo
+    }
+  }
+
+  return err
+}
+
+/**
+ * Publishes a request on the given topic, and sets up everything needed to
+ * receive the response(s). This is the common part of `request()` and its
+ * variations, each of which provides its own handlers for what happens next.
+ *
+ * @param  {TopicalPubSub}   bus          The instance to publish on.
+ *
+ * @param  {String}          methodName   The name of the public method (for
+ *                                        error messages).
+ *
+ * @param  {Symbol}          topic        One of `TopicalPubSub.prototype.topics`.
+ *
+ * @param  {any}             query        The value that identifies the
+ *                                        information being sought.
+ *
+ * @param  {Object?}         options      See `TopicalPubSub.prototype.request`.
+ *
+ * @param  {Object}          handlers     A plain object with the following
+ *                                        functions:
+ *  - `onResponse(answer, elapsedMs, pending)`   Called for every response
+ *                                               sent via `respond()`.
+ *  - `onChunk(chunk, elapsedMs, pending)`       Called for every chunk sent
+ *                                               via `respond.next()`.
+ *                                               Optional; defaults to
+ *                                               `onResponse`.
+ *  - `onEnd(pending)`                           Called when `respond.end()`
+ *                                               is called. Optional; ignored
+ *                                               by default.
+ *  - `onError(err, elapsedMs, pending)`         Called when `respond.error()`
+ *                                               is called. Optional; by
+ *                                               default, the request is
+ *                                               closed and `onFailure` is
+ *                                               called.
+ *  - `onTimeout(err)`                           Called with a
+ *                                               `RequestTimeoutError` if the
+ *                                               watchdog fires.
+ *  - `lingering`                                Not a function, but a
+ *                                               Boolean: if `true`, then the
+ *                                               request is not closed when
+ *                                               the watchdog fires, so that a
+ *                                               late response is still
+ *                                               accepted. It is then up to
+ *                                               the caller to close it.
+ *  - `onFailure(err)`                           Called if the request fails
+ *                                               for any other reason.
+ * The `pending` object has the properties `trackingNo`, `close` (a function
+ * that stops waiting for any further responses, which treats any that arrive
+ * later as duplicates, unless given the reason "expired"), and
+ * `restartWatchdog` (a function that starts the time limit over again). There
+ * is no need to call `close` from `onTimeout` or `onFailure`, since that is
+ * done automatically.
+ *
+ * @return {Object?}   The `pending` object, or `null` if the request was not
+ *                     submitted (because it had already been aborted).
+ *
+ * @throws {InvalidArgumentError}   If any of the parameters are not valid.
+ */
+function openRequest (bus, methodName, topic, query, options, handlers) {
+  const state = internals.get(bus)
+  const topicName = validate(state, topic)
+  const settings = options || {}
+
+  if (!topicName) {
+    throw new errors.InvalidTopicError(`The "topic" parameter for "${methodName}()" is required and must be a value from "topics".`, topic)
+  }
+
+  checkRequestOptions(methodName, settings)
+  checkPayload(state, topicName, 'payload', query, 'query')
+  warnIfDeprecated(state, topicName)
+
+  const signal = settings.signal || null
+  const timeout = (settings.timeout == null ? state.requestTTL : settings.timeout)
+  const failFast = (settings.failFast == null ? state.strict : !!settings.failFast)
+
+  if (signal && signal.aborted) {
+    debug('Not submitting request for %o, since it has already been aborted', query)
+    handlers.onFailure(createAbortError())
+    return null
+  }
+
+  /**
+   * The "tracking number" is a unique identifier that belongs to this
+   * request, and only this request. It is used to match up the response.
+   * @type {String}
+   */
+  const trackingNo = uid()
+
+  /**
+   * This is used to report the amount of time spent waiting for the response.
+   * Should be useful for troubleshooting or anaylzing the performance of
+   * other parts of code.
+   * @type {Number}
+   */
+  const startTime = Date.now()
+
+  /**
+   * The request will only be completed when the matching response is
+   * received. If (for whatever reason) the response never arrives, then the
+   * entire application could freeze, stuck in an endless loop.
+   *
+   * This "watchdog" is responsible for preventing such a situation. If the
+   * response doesn't arrive within a specific timeframe (either the "timeout"
+   * option, or `requestTTL`), then the watchdog will call `onTimeout`.
+   * @type {Timeout}
+   */
+  let watchdog = null
+
+  const restartWatchdog = () => {
+    global.clearTimeout(watchdog)
+
+    watchdog = global.setTimeout(
+      () => {
+        debug('Failed to receive response to %s within %d sec', trackingNo, (timeout / 1000))
+
+        if (!handlers.lingering) {
+          close('expired')
+        }
+
+        handlers.onTimeout(new errors.RequestTimeoutError(topicName, trackingNo, query, Date.now() - startTime))
+      },
+      timeout
+    )
+  }
+
+  restartWatchdog()
+
+  const onAbort = () => {
+    debug('Request %s was aborted', trackingNo)
+    close('expired')
+    handlers.onFailure(createAbortError())
+  }
+
+  /**
+   * Stops waiting for the response(s), one way or another. The reason is used
+   * to describe any response that arrives later on: "duplicate" (the default)
+   * if a response has already been received, otherwise "expired".
+   *
+   * @param  {String?}   reason   Either "duplicate" or "expired".
+   */
+  const close = (reason) => {
+    global.clearTimeout(watchdog)
+
+    if (state.pending.has(trackingNo)) {
+      settle(state, trackingNo, {
+        topicName: topicName,
+        startTime: startTime,
+        reason: reason || 'duplicate'
+      })
+    }
+
+    state.pending.delete(trackingNo)
+    state.pubsub.all.delete(trackingNo)
+
+    if (signal) {
+      signal.removeEventListener('abort', onAbort)
+    }
+  }
+
+  const pending = {
+    trackingNo: trackingNo,
+    close: close,
+    restartWatchdog: restartWatchdog
+  }
+
+  debug('Submitting request for %o with tracking number %s', query, trackingNo)
+
+  // the handler needs to be set before calling `deliver` (otherwise the
+  // sequence of events won't work out right)
+  state.pubsub.on(trackingNo, (frame) => {
+    const elapsedMs = Date.now() - startTime
+
+    switch (frame.type) {
+      case 'next':
+        (handlers.onChunk || handlers.onResponse)(frame.value, elapsedMs, pending)
+        break
+
+      case 'end':
+        if (handlers.onEnd) {
+          handlers.onEnd(pending)
+        }
+        break
+
+      case 'error':
+        annotateError(frame.value, topicName, trackingNo)
+
+        if (handlers.onError) {
+          handlers.onError(frame.value, elapsedMs, pending)
+        } else {
+          close()
+          handlers.onFailure(frame.value)
+        }
+        break
+
+      default:
+        handlers.onResponse(frame.value, elapsedMs, pending)
+    }
+  })
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort)
+  }
+
+  state.pending.set(trackingNo, {
+    topicName: topicName,
+    cancel: (err) => {
+      debug('Cancelling request %s', trackingNo)
+      close('expired')
+      handlers.onFailure(err)
+    }
+  })
+
+  const envelope = { trackingNo: trackingNo, query: query }
+
+  requestEnvelopes.add(envelope)
+
+  const strategy = state.registry.get(topicName).dispatch
+
+  if (strategy) {
+    const plan = planDispatch(state, topicName, strategy)
+
+    if (plan) {
+      dispatchPlans.set(envelope, plan)
+    }
+  }
+
+  // a responder that returns a rejected promise has failed to respond, so the
+  // caller should hear about it (unless the request is already over)
+  const listenerCount = deliver(bus, topicName, envelope, (err) => {
+    if (state.pending.has(trackingNo)) {
+      TopicalPubSub.prototype.respondError.call(bus, trackingNo, err)
+    } else {
+      reportListenerError(bus, topicName, envelope, err)
+    }
+  })
+
+  if (failFast && listenerCount === 0) {
+    debug('No listeners for request %s on topic "%s"', trackingNo, topicName)
+    close('expired')
+    handlers.onFailure(new errors.NoResponderError(topicName, trackingNo))
+  }
+
+  return pending
+}
+
+/**
+ * Publishes a request, and returns a promise for the response. This is the
+ * part of `request()` that happens when the answer isn't already cached (see
+ * `requestCached()`).
+ *
+ * @param  {TopicalPubSub}   bus        The instance to publish on.
+ *
+ * @param  {Symbol}          topic      One of `TopicalPubSub.prototype.topics`.
+ *
+ * @param  {any}             query      The value that identifies the
+ *                                      information being sought.
+ *
+ * @param  {Object}          settings   See `TopicalPubSub.prototype.request`.
+ *
+ * @return {Promise}
+ */
+function sendRequest (bus, topic, query, settings) {
+  return new Promise((resolve, reject) => {
+    const retryOptions = parseRetryOptions(settings)
+
+    /**
+     * Each attempt that is still waiting for a response. Earlier attempts
+     * are kept open after they time out, since a late response to any of
+     * them is just as good.
+     * @type {Array}
+     */
+    const attempts = []
+
+    /**
+     * The error from each attempt that has failed.
+     * @type {Array}
+     */
+    const failures = []
+
+    /**
+     * The value returned by `admitRequest()` for each attempt.
+     * @type {Array}
+     */
+    const tickets = []
+
+    let retryTimer = null
+    let watching = false
+    let finished = false
+
+    const finish = (reason, settle, value) => {
+      if (finished) {
+        return
+      }
+
+      finished = true
+      global.clearTimeout(retryTimer)
+
+      attempts.forEach((pending) => { pending.close(reason) })
+      tickets.forEach((ticket) => { recordOutcome(bus, ticket, 'ignored') })
+
+      if (watching) {
+        settings.signal.removeEventListener('abort', onAbort)
+      }
+
+      settle(value)
+    }
+
+    const onAbort = () => {
+      finish('expired', reject, createAbortError())
+    }
+
+    const onFailure = (err) => {
+      failures.push(err)
+
+      if (!isUnresponsive(err) || retryOptions.retries === 0) {
+        finish('expired', reject, err)
+      } else if (failures.length > retryOptions.retries) {
+        finish('expired', reject, new errors.RetriesExhaustedError(err.topic, query, failures))
+      } else {
+        const delay = getBackoffDelay(retryOptions.backoff, failures.length)
+
+        debug('Retrying request in %d ms (attempt %d of %d)', delay, failures.length + 1, retryOptions.retries + 1)
+        retryTimer = global.setTimeout(attempt, delay)
+      }
+    }
+
+    const attempt = () => {
+      let ticket = null
+
+      const onAttemptFailure = (err) => {
+        recordOutcome(bus, ticket, (isUnresponsive(err) ? 'failure' : 'ignored'))
+        onFailure(err)
+      }
+
+      try {
+        ticket = admitRequest(bus, topic)
+        tickets.push(ticket)
+
+        const pending = openRequest(bus, 'request', topic, query, settings, {
+          onResponse: (answer, elapsedMs, pending) => {
+            let elapsedTime = elapsedMs / 1000
+
+            if (elapsedTime < 1) {
+              elapsedTime = 'less than 1 sec'
+            } else {
+              elapsedTime = `${elapsedTime} sec`
+            }
+
+            debug('%s had a cycle time of %s', pending.trackingNo, elapsedTime)
+
+            // remove the listener (among other things) now that we're done
+            // here, because it can never be called again (this attempt
+            // might not be in `attempts` yet, if the response was sent
+            // synchronously)
+            pending.close()
+            recordOutcome(bus, ticket, 'success')
+            finish('duplicate', resolve, answer)
+          },
+          lingering: (retryOptions.retries > 0),
+          onTimeout: onAttemptFailure,
+          onFailure: onAttemptFailure
+        })
+
+        if (pending) {
+          attempts.push(pending)
+        }
+      } catch (err) {
+        finish('expired', reject, err)
+      }
+    }
+
+    attempt()
+
+    // the signal also needs to be watched in between attempts
+    if (!finished && settings.signal && retryOptions.retries > 0) {
+      settings.signal.addEventListener('abort', onAbort)
+      watching = true
+    }
+  })
+}
+
+/**
+ * Returns a promise for the response to a request on a topic that has the
+ * "cache" property. The response is taken from the cache if possible, and
+ * identical requests that are made while one is still in progress share its
+ * tracking number (and its outcome) instead of publishing another one.
+ *
+ * The "signal" option only applies to the caller that passed it in; aborting
+ * it rejects that caller's promise, but the shared request carries on.
+ *
+ * @param  {TopicalPubSub}   bus        The instance to publish on.
+ *
+ * @param  {Symbol}          topic      One of `TopicalPubSub.prototype.topics`.
+ *
+ * @param  {Object}          cache      The "cache" property of the registry
+ *                                      entry for the topic.
+ *
+ * @param  {any}             query      The value that identifies the
+ *                                      information being sought.
+ *
+ * @param  {Object}          settings   See `TopicalPubSub.prototype.request`.
+ *
+ * @return {Promise}
+ */
+function requestCached (bus, topic, cache, query, settings) {
+  const state = internals.get(bus)
+  const topicName = state.symbols.get(topic)
+  const signal = settings.signal || null
+
+  return new Promise((resolve, reject) => {
+    // the options are checked even if they won't be used, so that a mistake
+    // doesn't go unnoticed for as long as the response is cached
+    checkRequestOptions('request', settings)
+    parseRetryOptions(settings)
+    checkPayload(state, topicName, 'payload', query, 'query')
+
+    const key = cache.key(query)
+
+    if (!state.caches.has(topicName)) {
+      state.caches.set(topicName, { entries: new Map(), inFlight: new Map() })
+    }
+
+    const store = state.caches.get(topicName)
+    const entry = store.entries.get(key)
+
+    if (entry && entry.expires > Date.now()) {
+      debug('Using the cached response on topic "%s" for %o', topicName, query)
+      warnIfDeprecated(state, topicName)
+      resolve(entry.value)
+      return
+    }
+
+    if (signal && signal.aborted) {
+      reject(createAbortError())
+      return
+    }
+
+    let shared = store.inFlight.get(key)
+
+    if (shared) {
+      debug('Joining the request in progress on topic "%s" for %o', topicName, query)
+    } else {
+      shared = sendRequest(bus, topic, query, Object.assign({}, settings, { signal: null }))
+      store.inFlight.set(key, shared)
+
+      // a request that was invalidated while in progress is not cached
+      const done = (fulfilled, value) => {
+        if (store.inFlight.get(key) !== shared) {
+          return
+        }
+
+        store.inFlight.delete(key)
+
+        if (fulfilled) {
+          const now = Date.now()
+
+          store.entries.forEach((other, otherKey) => {
+            if (other.expires <= now) {
+              store.entries.delete(otherKey)
+            }
+          })
+
+          store.entries.set(key, { value: value, expires: now + cache.ttl })
+        }
+      }
+
+      shared.then((value) => { done(true, value) }, () => { done(false) })
+    }
+
+    if (signal) {
+      const onAbort = () => { reject(createAbortError()) }
+      const stopWatching = () => { signal.removeEventListener('abort', onAbort) }
+
+      signal.addEventListener('abort', onAbort)
+      shared.then(stopWatching, stopWatching)
+    }
+
+    shared.then(resolve, reject)
+  })
+}
+
+/**
+ * Passes part (or all) of a response along to the matching request. This is
+ * the common part of `respond()` and its variations.
+ *
+ * @param  {Object}   state        The internal state of the instance.
+ *
+ * @param  {any}      trackingNo   The value published as part of the request.
+ *
+ * @param  {String}   type         One of "value", "next", "end", or "error".
+ *
+ * @param  {any}      value        The answer, chunk, or error (if any).
+ *
+ * @return {Boolean}   Whether the tracking number belongs to a pending
+ *                     request that is still listening for it (and therefore
+ *                     whether the value was delivered).
+ *
+ * @throws {InvalidArgumentError}         If the answer (or chunk) does not pass
+ *                                        the "response" validator.
+ *
+ * @throws {UnknownTrackingNumberError}   If the tracking number does not belong
+ *                                        to any request, pending or finished
+ *                                        (strict mode only).
+ */
+function sendFrame (state, trackingNo, type, value) {
+  const request = state.pending.get(trackingNo)
+
+  if (!request) {
+    reportUnmatchedResponse(state, trackingNo, value)
+    return false
+  }
+
+  if (type === 'value' || type === 'next') {
+    checkPayload(state, request.topicName, 'response', value, 'response')
+  }
+
+  if ((state.pubsub.all.get(trackingNo) || []).length === 0) {
+    debug('Request %s is no longer listening for a response, since every listener was removed', trackingNo)
+    return false
+  }
+
+  state.pubsub.emit(trackingNo, { type: type, value: value })
+  return true
+}
+
+/**
+ * Remembers a request that is no longer pending, so that any response that
+ * arrives later can be reported accurately. Only the most recent requests are
+ * remembered (see `SETTLED_LIMIT`).
+ *
+ * @param  {Object}   state        The internal state of the instance.
+ *
+ * @param  {String}   trackingNo   The tracking number of the request.
+ *
+ * @param  {Object}   entry        A plain object with the properties
+ *                                 `topicName`, `startTime`, and `reason`.
+ *
+ * @return {undefined}
+ */
+function settle (state, trackingNo, entry) {
+  state.settled.set(trackingNo, entry)
+
+  if (state.settled.size > SETTLED_LIMIT) {
+    state.settled.delete(state.settled.keys().next().value)
+  }
+}
+
+/**
+ * Reports a response that does not match a pending request, by calling the
+ * `onUnmatchedResponse` hook (if there is one). Errors thrown by the hook are
+ * logged, and otherwise ignored.
+ *
+ * @param  {Object}   state        The internal state of the instance.
+ *
+ * @param  {any}      trackingNo   The tracking number given with the response.
+ *
+ * @param  {any}      value        The answer, chunk, or error (if any).
+ *
+ * @return {undefined}
+ *
+ * @throws {UnknownTrackingNumberError}   If the tracking number does not belong
+ *                                        to any request (strict mode only).
+ */
+function reportUnmatchedResponse (state, trackingNo, value) {
+  const settled = state.settled.get(trackingNo)
+
+  if (!settled && state.strict) {
+    throw new errors.UnknownTrackingNumberError(trackingNo)
+  }
+
+  const event = Object.freeze({
+    reason: (settled ? settled.reason : 'unknown'),
+    topic: (settled ? settled.topicName : null),
+    trackingNo: trackingNo,
+    elapsedMs: (settled ? Date.now() - settled.startTime : null),
+    response: value
+  })
+
+  debug('Received %s response for %s', event.reason, trackingNo)
+
+  if (state.onUnmatchedResponse) {
+    callSafely(() => state.onUnmatchedResponse(event), (err) => {
+      debug('The "onUnmatchedResponse" hook failed: %o', err)
+    })
+  }
+}
+
+/**
+ * Returns the `respond` method for the given instance, along with the
+ * functions attached to it for streaming responses: `respond.next()`,
+ * `respond.end()`, and `respond.error()`.
+ *
+ * @param  {TopicalPubSub}   bus   The instance that the method belongs to.
+ *
+ * @return {Function}
+ */
+function createRespond (bus) {
+  const state = internals.get(bus)
+
+  const respond = (trackingNo, answer) => {
+    return TopicalPubSub.prototype.respond.call(bus, trackingNo, answer)
+  }
+
+  /**
+   * Sends one chunk of a streaming response.
+   *
+   * @param  {any}   trackingNo   The value published as part of the request.
+   *
+   * @param  {any}   chunk        The next piece of information. If the topic
+   *                              of the request was added with a "response"
+   *                              validator, then this value must pass it.
+   *
+   * @return {Boolean}   Whether the chunk was delivered.
+   */
+  respond.next = (trackingNo, chunk) => {
+    debug('Received chunk for %s: %o', trackingNo, chunk)
+    return sendFrame(state, trackingNo, 'next', chunk)
+  }
+
+  /**
+   * Ends a streaming response.
+   *
+   * @param  {any}   trackingNo   The value published as part of the request.
+   *
+   * @return {Boolean}   Whether the end was delivered.
+   */
+  respond.end = (trackingNo) => {
+    debug('Received end of response for %s', trackingNo)
+    return sendFrame(state, trackingNo, 'end')
+  }
+
+  /**
+   * Ends a streaming response with an error. Same as `respondError`.
+   *
+   * @param  {any}   trackingNo   The value published as part of the request.
+   *
+   * @param  {any}   err          The reason that the response could not be
+   *                              completed.
+   *
+   * @return {Boolean}   Whether the error was delivered.
+   */
+  respond.error = (trackingNo, err) => {
+    return TopicalPubSub.prototype.respondError.call(bus, trackingNo, err)
+  }
+
+  return respond
+}
+
+class TopicalPubSub {
+  /**
+   * @param  {Object?}   options              Optional settings for this
+   *                                          instance.
+   *
+   * @param  {Array|String?}  options.topics  The name(s) of any topic(s) to
+   *                                          add in addition to the defaults.
+   *
+   * @param  {Number?}   options.requestTTL   The number of milliseconds to
+   *                                          wait before "timing out" a
+   *                                          pending request.
+   *
+   * @param  {String?}   options.namespace    If specified, then the Symbol
+   *                                          values in `topics` are taken
+   *                                          from the global Symbol registry,
+   *                                          and shared with any other
+   *                                          instance (in any realm) that uses
+   *                                          the same namespace.
+   *
+   * @param  {Boolean?}  options.strict       Whether to enable strict mode.
+   *                                          This changes the default value
+   *                                          of the "failFast" option for
+   *                                          `request()`, and makes
+   *                                          `respond()` throw an error for an
+   *                                          unknown tracking number.
+   *
+   * @param  {Function?} options.onUnmatchedResponse   Called with a
+   *                                          description of each response
+   *                                          that does not match a pending
+   *                                          request.
+   */
+  constructor (options) {
+    const settings = options || {}
+
+    if (settings.namespace != null && (typeof settings.namespace !== 'string' || settings.namespace.length === 0)) {
+      throw new errors.InvalidArgumentError('The "namespace" option must be a non-empty string.')
+    }
+
+    if (settings.onUnmatchedResponse != null && typeof settings.onUnmatchedResponse !== 'function') {
+      throw new errors.InvalidArgumentError('The "onUnmatchedResponse" option must be a function.')
+    }
+
+    internals.set(this, {
+      pubsub: mitt(),
+      validTopics: [],
+      topicEnum: {},
+      symbols: new Map(),
+      namespace: settings.namespace || null,
+      requestTTL: DEFAULT_REQUEST_TTL,
+      patterns: [],
+      registry: new Map(),
+      cursors: new Map(),
+      caches: new Map(),
+      breakers: new Map(),
+      stickies: new Map(),
+      histories: new Map(),
+      streams: new Map(),
+      pending: new Map(),
+      settled: new Map(),
+      onUnmatchedResponse: settings.onUnmatchedResponse || null,
+      sealed: false,
+      strict: !!settings.strict
+    })
+
+    /**
+     * Each instance gets its own copy of `respond`, so that the functions
+     * attached to it (`respond.next` and so on) know which instance they
+     * belong to.
+     */
+    Object.defineProperty(this, 'respond', { value: createRespond(this) })
+
+    this.addTopic(DEFAULT_TOPICS)
+
+    if (settings.topics != null) {
+      this.addTopic(settings.topics)
+    }
+
+    if (settings.requestTTL != null) {
+      this.requestTTL = settings.requestTTL
+    }
+  }
+
+  /**
+   * Returns the current enumeration of valid topics.
+   *
+   * @return {Object}
+   */
+  get topics () {
+    return internals.get(this).topicEnum
+  }
+
+  get requestTTL () {
+    return internals.get(this).requestTTL
+  }
+
+  set requestTTL (value) {
+    if (typeof value !== 'number') {
+      throw new errors.InvalidArgumentError('The new value for "requestTTL" must be numeric.')
+    }
+
+    if (!isValidTimeout(value)) {
+      throw new errors.InvalidArgumentError(`The new value for "requestTTL" must be a non-negative number no larger than ${MAX_TIMEOUT}.`)
+    }
+
+    internals.get(this).requestTTL = value
+  }
+
+  /**
+   * Adds one or more topics to the enumeration.
+   *
+   * Topic names may be hierarchical, with each level separated by a dot (for
+   * example, "USER.LOGIN"). These are represented in the enumeration as nested
+   * objects (for example, `topics.USER.LOGIN`). A topic cannot also be used as
+   * the parent of other topics.
+   *
+   * Instead of a name, a descriptor may be supplied. This is a plain object
+   * with the following properties:
+   *  - `name`          {String}            The name of the topic (required).
+   *  - `description`   {String}            What the topic is intended for.
+   *  - `owner`         {String}            Who is responsible for the topic.
+   *  - `deprecated`    {Boolean|String}    Whether the topic should no longer
+   *                                        be used. A string can be used to
+   *                                        explain what to use instead.
+   *  - `since`         {String}            When the topic was introduced (such
+   *                                        as a version number).
+   *  - `payload`       {Object|Function}   A validator for the data passed
+   *                                        into `say()` and the query passed
+   *                                        into `request()`.
+   *  - `response`      {Object|Function}   A validator for the answer passed
+   *                                        into `respond()`.
+   * Each validator is either a schema that uses the subset of JSON Schema
+   * supported by "lib/schema.js", or a function that returns a truthy value if
+   * the value it receives is valid. Supplying a descriptor for an existing
+   * topic replaces each of the properties that it specifies.
+   *
+   * @param  {Array|String|Object}   newTopicNames   The name(s) of the
+   *                                                 topic(s) to add, or
+   *                                                 descriptor(s). Each name
+   *                                                 will be converted to
+   *                                                 uppercase, and if the enum
+   *                                                 already contains the name,
+   *                                                 then it will not be
+   *                                                 re-added.
+   *
+   * @return {undefined}
+   *
+   * @throws {TopicoError}   If `sealTopics()` has already been called.
+   */
+  addTopic (newTopicNames) {
+    const state = internals.get(this)
+    let names = null
+
+    if (state.sealed) {
+      throw new errors.TopicoError('Topics cannot be added after "sealTopics()" has been called.', 'ERR_TOPICS_SEALED')
+    }
+
+    if (Array.isArray(newTopicNames)) {
+      names = Array.from(newTopicNames)
+    } else {
+      names = [newTopicNames]
+    }
+
+    /**
+     * Every name is checked before any of them are added, so that an invalid
+     * entry does not leave the enumeration partially updated.
+     */
+    const formattedNames = []
+    const updates = new Map()
+
+    names.forEach((entry) => {
+      let name = entry
+
+      if (match.isPlainObject(entry)) {
+        name = entry.name
+
+        if (name == null || (name.toString() !== name)) {
+          throw new errors.InvalidArgumentError('The "name" property of a topic descriptor is required and must be a string.')
+        }
+      } else if (name == null || (name.toString() !== name)) {
+        throw new errors.InvalidArgumentError('The "name" parameter for "addTopic()" is required and must be a string (or an array of strings).')
+      }
+
+      const formattedName = name.toUpperCase()
+      const segments = formattedName.split('.')
+
+      if (segments.some((segment) => { return (segment.length === 0 || segment === '*' || segment === '#') })) {
+        throw new errors.InvalidTopicError(`The topic name "${formattedName}" is not valid. Each level of a hierarchical name must be non-empty, and cannot be "*" or "#".`, formattedName)
+      }
+
+      // Avoid adding duplicate entries.
+      if (!~state.validTopics.indexOf(formattedName) && !~formattedNames.indexOf(formattedName)) {
+        const conflict = state.validTopics.concat(formattedNames).filter((other) => {
+          return (other.startsWith(`${formattedName}.`) || formattedName.startsWith(`${other}.`))
+        })
+
+        if (conflict.length > 0) {
+          throw new errors.InvalidTopicError(`The topic "${formattedName}" cannot be added, because it conflicts with the existing topic "${conflict[0]}".`, formattedName)
+        }
+
+        formattedNames.push(formattedName)
+      }
+
+      if (entry !== name) {
+        updates.set(formattedName, parseDescriptor(formattedName, entry))
+      }
+    })
+
+    formattedNames.forEach((formattedName) => {
+      debug('Adding new topic "%s"', formattedName)
+      state.validTopics.push(formattedName)
+      state.registry.set(formattedName, {
+        description: null,
+        owner: null,
+        deprecated: false,
+        since: null,
+        payload: null,
+        response: null,
+        dispatch: null,
+        cache: null,
+        circuitBreaker: null,
+        sticky: null,
+        history: null,
+        warned: false
+      })
+    })
+
+    updates.forEach((update, formattedName) => {
+      const entry = state.registry.get(formattedName)
+
+      debug('Updating descriptor for topic "%s"', formattedName)
+      Object.assign(entry, update)
+
+      if (Object.hasOwnProperty.call(update, 'deprecated')) {
+        entry.warned = false
+      }
+
+      if (Object.hasOwnProperty.call(update, 'cache')) {
+        state.caches.delete(formattedName)
+      }
+
+      if (update.circuitBreaker === null) {
+        state.breakers.delete(formattedName)
+      }
+
+      if (update.sticky === null) {
+        state.stickies.delete(formattedName)
+      }
+
+      if (update.history === null) {
+        state.histories.delete(formattedName)
+      }
+    })
+
+    updateEnumeration(state)
+
+    // Any existing pattern subscriptions must be extended to the new topics.
+    formattedNames.forEach((formattedName) => {
+      const nameSegments = formattedName.split('.')
+
+      state.patterns
+        .filter((pattern) => { return matchesPattern(pattern.segments, nameSegments) })
+        .forEach((pattern) => {
+          applyPattern(state, pattern, formattedName)
+        })
+    })
+  }
+
+  /**
+   * Removes one or more topics from the enumeration. Any listeners on the
+   * topic(s) are dropped, and any pending requests on them are rejected. Names
+   * that are not in the enumeration are safely ignored.
+   *
+   * @param  {Array|String}   topicNames   The name(s) of the topic(s) to
+   *                                       remove. Each name will be converted
+   *                                       to uppercase.
+   *
+   * @return {undefined}
+   *
+   * @throws {TopicoError}   If `sealTopics()` has already been called.
+   */
+  removeTopic (topicNames) {
+    const state = internals.get(this)
+    let names = null
+
+    if (state.sealed) {
+      throw new errors.TopicoError('Topics cannot be removed after "sealTopics()" has been called.', 'ERR_TOPICS_SEALED')
+    }
+
+    if (Array.isArray(topicNames)) {
+      names = Array.from(topicNames)
+    } else {
+      names = [topicNames]
+    }
+
+    names.forEach((name) => {
+      if (name == null || (name.toString() !== name)) {
+        throw new errors.InvalidArgumentError('The "name" parameter for "removeTopic()" is required and must be a string (or an array of strings).')
+      }
+    })
+
+    names
+      .map((name) => { return name.toUpperCase() })
+      .filter((formattedName) => { return !!~state.validTopics.indexOf(formattedName) })
+      .forEach((formattedName) => {
+        debug('Removing topic "%s"', formattedName)
+
+        state.validTopics.splice(state.validTopics.indexOf(formattedName), 1)
+        state.registry.delete(formattedName)
+        state.cursors.delete(formattedName)
+        state.caches.delete(formattedName)
+        state.breakers.delete(formattedName)
+        state.stickies.delete(formattedName)
+        state.histories.delete(formattedName)
+        state.pubsub.all.delete(formattedName)
+
+        closeStreams(state, formattedName, new errors.TopicoError(`The topic "${formattedName}" was removed while it was being streamed.`, 'ERR_TOPIC_REMOVED', {
+          topic: formattedName
+        }))
+
+        state.patterns.forEach((pattern) => {
+          pattern.listeners.delete(formattedName)
+        })
+
+        state.pending.forEach((request, trackingNo) => {
+          if (request.topicName === formattedName) {
+            request.cancel(new errors.TopicoError(`The topic "${formattedName}" was removed before a response was received.`, 'ERR_TOPIC_REMOVED', {
+              topic: formattedName,
+              trackingNo: trackingNo
+            }))
+          }
+        })
+      })
+
+    updateEnumeration(state)
+  }
+
+  /**
+   * Prevents any topics from being added or removed from now on. This can be
+   * used to "freeze" the list of topics once an application has started up,
+   * so that any code which tries to invent new topics at runtime fails fast.
+   *
+   * @return {undefined}
+   */
+  sealTopics () {
+    debug('Sealing topics')
+    internals.get(this).sealed = true
+  }
+
+  /**
+   * Returns a description of every topic, as plain data (suitable for
+   * generating documentation, for example).
+   *
+   * @return {Array}   A list of plain objects (one per topic, in the order that
+   *                   they were added) with the properties `name`,
+   *                   `description`, `owner`, `deprecated`, `since`,
+   *                   `payload`, `response`, `dispatch`, `cache`,
+   *                   `circuitBreaker`, `sticky`, and `history`. The
+   *                   validators (`payload` and `response`) are either
+   *                   `null`, `{ validator: 'function' }`, or
+   *                   `{ validator: 'schema', schema }`. The rest are `null`
+   *                   unless they were set with a descriptor, in which case
+   *                   they are copies of the settings (with the defaults
+   *                   filled in), except that `cache` leaves out the "key"
+   *                   function.
+   */
+  describeTopics () {
+    const state = internals.get(this)
+
+    return state.validTopics.map((topicName) => {
+      const entry = state.registry.get(topicName)
+
+      return {
+        name: topicName,
+        description: entry.description,
+        owner: entry.owner,
+        deprecated: entry.deprecated,
+        since: entry.since,
+        payload: describeValidator(entry.payload),
+        response: describeValidator(entry.response),
+        dispatch: entry.dispatch,
+        cache: (entry.cache ? { ttl: entry.cache.ttl } : null),
+        circuitBreaker: (entry.circuitBreaker ? Object.assign({}, entry.circuitBreaker) : null),
+        sticky: (entry.sticky ? Object.assign({}, entry.sticky) : null),
+        history: (entry.history ? Object.assign({}, entry.history) : null)
+      }
+    })
+  }
+
+  /**
+   * Adds a subscription for a particular topic. If the topic is sticky, then
+   * the callback is also called (asynchronously) with the last payload that
+   * was published on it, if any.
+   *
+   * @param  {Symbol}      topic      One of `TopicalPubSub.prototype.topics`.
+   *
+   * @param  {Function}    callback   The function to call when data is published.
+   *
+   * @param  {Object?}     options    Optional settings for this subscription.
+   *
+   * @param  {Number?}     options.replay   The number of payloads from the
+   *                                        history of the topic to pass to
+   *                                        the callback (asynchronously, oldest
+   *                                        first) before any new ones. This
+   *                                        takes the place of the sticky
+   *                                        value. Defaults to 0.
+   *
+   * @return {Object}   An object with an `unsubscribe` method, which removes
+   *                    this listener.
+   */
+  listen (topic, callback, options) {
+    const state = internals.get(this)
+    const topicName = validate(state, topic)
+
+    if (!topicName) {
+      throw new errors.InvalidTopicError('The "topic" parameter for "listen()" is required and must be a value from "topics".', topic)
+    }
+
+    if (typeof callback !== 'function') {
+      throw new errors.InvalidArgumentError('The "callback" parameter for "listen()" is required and must be a function.')
+    }
+
+    if (options != null && !match.isPlainObject(options)) {
+      throw new errors.InvalidArgumentError('The "options" parameter for "listen()" must be a plain object.')
+    }
+
+    const replay = ((options || {}).replay == null ? 0 : options.replay)
+
+    if (!Number.isInteger(replay) || replay < 0) {
+      throw new errors.InvalidArgumentError('The "replay" option for "listen()" must be a non-negative integer.')
+    }
+
+    warnIfDeprecated(state, topicName)
+
+    if (replay === 0 || !state.registry.get(topicName).history) {
+      state.pubsub.on(topicName, callback)
+      debug('Registered listener on topic "%s"', topicName)
+      replaySticky(this, topicName, callback)
+
+      return createSubscription(removeListener(state, topicName, callback))
+    }
+
+    const replayed = getHistory(state, topicName).slice(-replay).map((entry) => entry.payload)
+
+    /**
+     * Anything published before the history has been replayed is held back,
+     * so that the callback receives everything in the original order.
+     * @type {Array?}
+     */
+    let held = []
+
+    const fn = (payload) => {
+      if (held) {
+        held.push(payload)
+        return
+      }
+
+      return callback(payload)
+    }
+
+    /**
+     * Keep a reference to the original callback, so that this listener can
+     * also be found by `unlisten()`.
+     */
+    fn.__callback__ = callback
+
+    state.pubsub.on(topicName, fn)
+    debug('Registered listener on topic "%s", replaying %d payload(s)', topicName, replayed.length)
+
+    process.nextTick(() => {
+      const payloads = replayed.concat(held)
+
+      held = null
+
+      payloads.forEach((payload) => {
+        if (~(state.pubsub.all.get(topicName) || []).indexOf(fn)) {
+          callSafely(() => callback(payload), (err) => { reportListenerError(this, topicName, payload, err) })
+        }
+      })
+    })
+
+    return createSubscription(removeListener(state, topicName, fn))
+  }
+
+  /**
+   * Adds a one-time subscription for a particular topic. If the topic is
+   * sticky, and a payload has already been published on it, then the callback
+   * is called (asynchronously) with that payload instead of waiting for the
+   * next one.
+   *
+   * @param  {Symbol}      topic      One of `TopicalPubSub.prototype.topics`.
+   *
+   * @param  {Function}    callback   The function to call when data is published.
+   *
+   * @return {Object}   An object with an `unsubscribe` method, which removes
+   *                    this listener (if it has not been called yet).
+   */
+  listenOnce (topic, callback) {
+    const state = internals.get(this)
+    const topicName = validate(state, topic)
+
+    if (!topicName) {
+      throw new errors.InvalidTopicError('The "topic" parameter for "listenOnce()" is required and must be a value from "topics".', topic)
+    }
+
+    if (typeof callback !== 'function') {
+      throw new errors.InvalidArgumentError('The "callback" parameter for "listenOnce()" is required and must be a function.')
+    }
+
+    /**
+     * Create a special property that will flag this callback for removal after
+     * it is called the first time. Functions as objects FTW!
+     */
+    callback.__onlyOnce__ = true
+
+    warnIfDeprecated(state, topicName)
+
+    state.pubsub.on(topicName, callback)
+    debug('Registered one-time listener on topic "%s"', topicName)
+    replaySticky(this, topicName, callback)
+
+    return createSubscription(removeListener(state, topicName, callback))
+  }
+
+  /**
+   * Adds a subscription for a particular topic that will automatically cancel
+   * immediately after the specified primitive value (or regular expression, or
+   * object pattern) is received (or matched).
+   *
+   * @param  {Symbol}     topic      One of `TopicalPubSub.prototype.topics`.
+   *
+   * @param  {any}        value      The primitive value to watch for, a
+   *                                 regular expression to match against, or a
+   *                                 plain object that the payload must match
+   *                                 partially (see `match.compile`). Within
+   *                                 the object, any value can also be a
+   *                                 regular expression, a predicate function,
+   *                                 or an array of items that must all be
+   *                                 found in the payload's array.
+   *
+   * @param  {Function}   callback   The function to call when data is published.
+   *                                 If `value` is a regular expression or an
+   *                                 object, then the callback will receive
+   *                                 whatever payload matched it. The callback
+   *                                 is executed asynchronously.
+   *
+   * @return {Object}   An object with an `unsubscribe` method, which removes
+   *                    this listener (if the value has not been seen yet).
+   */
+  listenFor (topic, value, callback) {
+    const state = internals.get(this)
+    const topicName = validate(state, topic)
+
+    if (!topicName) {
+      throw new errors.InvalidTopicError('The "topic" parameter for "listenFor()" is required and must be a value from "topics".', topic)
+    }
+
+    /**
+     * A list of all primitive value types. Found at
+     * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Data_structures
+     * @type {Array}
+     */
+    const primitives = [
+      'boolean',
+      'number',
+      'string',
+      'bigint',
+      'symbol'
+    ]
+
+    const isPattern = (match.isPlainObject(value) && Object.keys(value).length > 0)
+
+    if (value == null || (!~primitives.indexOf(typeof value) && !(value instanceof RegExp) && !isPattern)) {
+      throw new errors.InvalidArgumentError('The "value" parameter for "listenFor()" is required and must be a primitive value, an instance of RegExp, or a plain object with at least one property.')
+    }
+
+    if (typeof callback !== 'function') {
+      throw new errors.InvalidArgumentError('The "callback" parameter for "listenFor()" is required and must be a function.')
+    }
+
+    const matches = (isPattern || value instanceof RegExp ? match.compile(value) : null)
+
+    const fn = (payload) => {
+      let matched = false
+
+      const onError = (err) => { reportListenerError(this, topicName, payload, err) }
+
+      if (matches && matches(payload)) {
+        matched = true
+        process.nextTick(() => {
+          callSafely(() => callback(payload), onError)
+        })
+      } else if (payload === value) {
+        matched = true
+        process.nextTick(() => {
+          callSafely(() => callback(), onError)
+        })
+      }
+
+      if (matched) { state.pubsub.off(topicName, fn) }
+    }
+
+    /**
+     * Keep a reference to the original callback, so that this listener can
+     * also be found by `unlisten()`.
+     */
+    fn.__callback__ = callback
+
+    warnIfDeprecated(state, topicName)
+
+    state.pubsub.on(topicName, fn)
+
+    return createSubscription(removeListener(state, topicName, fn))
+  }
+
+  /**
+   * Waits for the next payload published on a particular topic (that matches
+   * the "where" option, if given).
+   *
+   * @param  {Symbol}        topic     One of `TopicalPubSub.prototype.topics`.
+   *
+   * @param  {Object?}       options   Optional settings.
+   *
+   * @param  {any}           options.where     What to wait for: a primitive
+   *                                           value, a regular expression, a
+   *                                           function that returns a truthy
+   *                                           value for a matching payload,
+   *                                           or a plain object (with at
+   *                                           least one property) that the
+   *                                           payload must partially match.
+   *                                           By default, any payload will do.
+   *
+   * @param  {Number?}       options.timeout   The number of milliseconds to
+   *                                           wait. Defaults to `requestTTL`.
+   *
+   * @param  {AbortSignal?}  options.signal    A signal that can be used to
+   *                                           stop waiting, in which case the
+   *                                           promise will be rejected with an
+   *                                           error named "AbortError".
+   *
+   * @return {Promise}   Resolved with the matching payload, or rejected with a
+   *                     `WaitTimeoutError` if there isn't one in time. Either
+   *                     way, nothing is left listening on the topic.
+   */
+  next (topic, options) {
+    const state = internals.get(this)
+
+    return new Promise((resolve, reject) => {
+      const topicName = validate(state, topic)
+      const settings = options || {}
+
+      if (!topicName) {
+        throw new errors.InvalidTopicError('The "topic" parameter for "next()" is required and must be a value from "topics".', topic)
+      }
+
+      if (options != null && !match.isPlainObject(options)) {
+        throw new errors.InvalidArgumentError('The "options" parameter for "next()" must be a plain object.')
+      }
+
+      if (settings.timeout != null && !isValidTimeout(settings.timeout)) {
+        throw new errors.InvalidArgumentError(`The "timeout" option for "next()" must be a non-negative number no larger than ${MAX_TIMEOUT}.`)
+      }
+
+      if (settings.signal != null && !isAbortSignal(settings.signal)) {
+        throw new errors.InvalidArgumentError('The "signal" option for "next()" must be an AbortSignal.')
+      }
+
+      // an empty pattern would match any object, which is almost certainly a
+      // mistake (just as it is for `listenFor()`)
+      if (match.isPlainObject(settings.where) && Object.keys(settings.where).length === 0) {
+        throw new errors.InvalidArgumentError('The "where" option for "next()" must be a primitive value, an instance of RegExp, a function, or a plain object with at least one property.')
+      }
+
+      const signal = settings.signal || null
+      const timeout = (settings.timeout == null ? state.requestTTL : settings.timeout)
+      const matches = (settings.where === undefined ? () => true : match.compile(settings.where))
+      const startTime = Date.now()
+
+      if (signal && signal.aborted) {
+        throw createAbortError()
+      }
+
+      warnIfDeprecated(state, topicName)
+
+      const finish = (settle, value) => {
+        state.pubsub.off(topicName, fn)
+        global.clearTimeout(watchdog)
+
+        if (signal) {
+          signal.removeEventListener('abort', onAbort)
+        }
+
+        settle(value)
+      }
+
+      const fn = (payload) => {
+        let matched = false
+
+        try {
+          matched = matches(payload)
+        } catch (err) {
+          finish(reject, err)
+          return
+        }
+
+        if (matched) {
+          debug('Found a match on topic "%s"', topicName)
+          finish(resolve, payload)
+        }
+      }
+
+      const onAbort = () => {
+        finish(reject, createAbortError())
+      }
+
+      const watchdog = global.setTimeout(() => {
+        finish(reject, new errors.WaitTimeoutError(topicName, Date.now() - startTime))
+      }, timeout)
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort)
+      }
+
+      state.pubsub.on(topicName, fn)
+      debug('Waiting for the next match on topic "%s"', topicName)
+    })
   }
 
   /**
-   * Returns the current enumeration of valid topics.
+   * Adds a subscription for every topic that matches the specified pattern,
+   * including any matching topics that are added later on.
    *
-   * @return {Object}
+   * @param  {String}     pattern    A (hierarchical) topic name, in which "*"
+   *                                 matches exactly one level and "#" matches
+   *                                 zero or more levels. For example, both
+   *                                 "USER.*" and "USER.#" match "USER.LOGIN".
+   *                                 The pattern is converted to uppercase.
+   *
+   * @param  {Function}   callback   The function to call when data is published
+   *                                 on any matching topic. It receives the data
+   *                                 as the first parameter, and the topic (one
+   *                                 of `TopicalPubSub.prototype.topics`) as the
+   *                                 second.
+   *
+   * @return {Object}   An object with an `unsubscribe` method, which removes
+   *                    this subscription from every matching topic.
    */
-  get topics () {
-    return topicEnum
-  }
+  listenPattern (pattern, callback) {
+    const state = internals.get(this)
 
-  get requestTTL () {
-    return requestTTL
-  }
+    if (pattern == null || (pattern.toString() !== pattern) || pattern.split('.').some((segment) => { return (segment.length === 0) })) {
+      throw new errors.InvalidArgumentError('The "pattern" parameter for "listenPattern()" is required and must be a string of one or more dot-separated topic names or wildcards.')
+    }
 
-  set requestTTL (value) {
-    if (typeof value !== 'number') {
-      throw new Error('The new value for "requestTTL" must be numeric.')
+    if (typeof callback !== 'function') {
+      throw new errors.InvalidArgumentError('The "callback" parameter for "listenPattern()" is required and must be a function.')
     }
 
-    requestTTL = value
-  }
+    const entry = {
+      text: pattern.toUpperCase(),
+      segments: pattern.toUpperCase().split('.'),
+      callback: callback,
+      listeners: new Map()
+    }
 
-  /**
-   * Adds one or more topics to the enumeration.
-   *
-   * @param  {Array|String}   newTopicNames   The name(s) of the topic(s) to
-   *                                          add. Each name will be converted
-   *                                          to uppercase, and if the enum
-   *                                          already contains the name, then
-   *                                          it will not be re-added.
-   *
-   * @return {undefined}
-   */
-  addTopic (newTopicNames) {
-    let names = null
+    state.patterns.push(entry)
 
-    if (Array.isArray(newTopicNames)) {
-      names = Array.from(newTopicNames)
-    } else {
-      names = [newTopicNames]
-    }
+    state.validTopics
+      .filter((topicName) => { return matchesPattern(entry.segments, topicName.split('.')) })
+      .forEach((topicName) => {
+        applyPattern(state, entry, topicName)
+      })
 
-    names.forEach((name) => {
-      if (name == null || (name.toString() !== name)) {
-        throw new Error('The "name" parameter for "addTopic()" is required and must be a string (or an array of strings).')
+    return createSubscription(() => {
+      const index = state.patterns.indexOf(entry)
+
+      // The entry will already be gone if `cancelAll()` has been called.
+      if (index > -1) {
+        state.patterns.splice(index, 1)
       }
 
-      const formattedName = name.toUpperCase()
+      entry.listeners.forEach((fn, topicName) => {
+        state.pubsub.off(topicName, fn)
+      })
 
-      // Avoid adding duplicate entries.
-      if (!~validTopics.indexOf(formattedName)) {
-        debug('Adding new topic "%s"', formattedName)
-        validTopics.push(formattedName)
-      }
+      debug('Removed pattern listener "%s"', entry.text)
     })
-
-    topicEnum = createTopicEnumeration(topicEnum, validTopics)
   }
 
   /**
-   * Adds a subscription for a particular topic.
+   * Adds a subscription for a particular topic, in the form of an async
+   * iterator (for use with `for await...of`). The subscription is removed
+   * when the consumer stops iterating, by calling `return()` on the iterator
+   * (which is what happens when breaking out of the loop). The iteration also
+   * ends if the subscription is removed by `cancel()`, `cancelAll()`, or
+   * `removeTopic()` (which makes the iterator throw an error instead).
    *
-   * @param  {Symbol}      topic      One of `TopicalPubSub.prototype.topics`.
+   * @param  {Symbol}     topic     One of `TopicalPubSub.prototype.topics`.
    *
-   * @param  {Function}    callback   The function to call when data is published.
+   * @param  {Object?}    options   Optional settings for this subscription.
    *
-   * @return {undefined}
+   * @param  {Number?}    options.bufferSize   The most payloads to hold while
+   *                                           the consumer catches up.
+   *                                           Defaults to 100.
+   *
+   * @param  {String?}    options.overflow     What to do with a payload that
+   *                                           arrives while the buffer is
+   *                                           full: one of
+   *                                           `OVERFLOW_STRATEGIES`. Defaults
+   *                                           to "error", which removes the
+   *                                           subscription, and makes the
+   *                                           iterator throw a
+   *                                           `StreamOverflowError` once the
+   *                                           buffer has been consumed.
+   *
+   * @return {AsyncIterator}
+   *
+   * @throws {InvalidArgumentError}   If any of the parameters are not valid.
    */
-  listen (topic, callback) {
-    const topicName = validate(topic)
+  stream (topic, options) {
+    const state = internals.get(this)
+    const topicName = validate(state, topic)
 
     if (!topicName) {
-      throw new TypeError('The "topic" parameter for "listen()" is required and must be a value from "topics".')
+      throw new errors.InvalidTopicError('The "topic" parameter for "stream()" is required and must be a value from "topics".', topic)
     }
 
-    if (typeof callback !== 'function') {
-      throw new TypeError('The "callback" parameter for "listen()" is required and must be a function.')
+    if (options != null && !match.isPlainObject(options)) {
+      throw new errors.InvalidArgumentError('The "options" parameter for "stream()" must be a plain object.')
+    }
+
+    const settings = Object.assign({}, DEFAULT_STREAM_OPTIONS)
+
+    if ((options || {}).bufferSize != null) {
+      if (!Number.isInteger(options.bufferSize) || options.bufferSize < 1) {
+        throw new errors.InvalidArgumentError('The "bufferSize" option for "stream()" must be a positive integer.')
+      }
+
+      settings.bufferSize = options.bufferSize
+    }
+
+    if ((options || {}).overflow != null) {
+      if (!~OVERFLOW_STRATEGIES.indexOf(options.overflow)) {
+        throw new errors.InvalidArgumentError('The "overflow" option for "stream()" must be one of "drop-oldest", "drop-newest", or "error".')
+      }
+
+      settings.overflow = options.overflow
+    }
+
+    warnIfDeprecated(state, topicName)
+
+    const fn = (payload) => {
+      if (!stream.push(payload) && settings.overflow === 'error') {
+        debug('Stream on topic "%s" overflowed', topicName)
+        close()
+        stream.fail(new errors.StreamOverflowError(topicName, settings.bufferSize))
+      }
+    }
+
+    const remove = removeListener(state, topicName, fn)
+
+    const close = () => {
+      const streams = state.streams.get(topicName)
+
+      remove()
+
+      if (streams) {
+        streams.delete(stream)
+      }
+    }
+
+    const stream = channel.createChannel(close, settings)
+
+    if (!state.streams.has(topicName)) {
+      state.streams.set(topicName, new Set())
     }
 
-    pubsub.on(topicName, callback)
-    debug('Registered listener on topic "%s"', topicName)
+    state.streams.get(topicName).add(stream)
+    state.pubsub.on(topicName, fn)
+    debug('Registered stream on topic "%s"', topicName)
+
+    return stream.iterator
   }
 
   /**
-   * Adds a one-time subscription for a particular topic.
+   * Removes a specific listener from a particular topic. Any other listeners on
+   * the same topic are not affected.
    *
    * @param  {Symbol}      topic      One of `TopicalPubSub.prototype.topics`.
    *
-   * @param  {Function}    callback   The function to call when data is published.
+   * @param  {Function}    callback   The function that was previously passed
+   *                                  into `listen()`, `listenOnce()`, or
+   *                                  `listenFor()`.
    *
    * @return {undefined}
    */
-  listenOnce (topic, callback) {
-    const topicName = validate(topic)
+  unlisten (topic, callback) {
+    const state = internals.get(this)
+    const topicName = validate(state, topic)
 
     if (!topicName) {
-      throw new TypeError('The "topic" parameter for "listenOnce()" is required and must be a value from "topics".')
+      throw new errors.InvalidTopicError('The "topic" parameter for "unlisten()" is required and must be a value from "topics".', topic)
     }
 
     if (typeof callback !== 'function') {
-      throw new TypeError('The "callback" parameter for "listenOnce()" is required and must be a function.')
+      throw new errors.InvalidArgumentError('The "callback" parameter for "unlisten()" is required and must be a function.')
     }
 
-    /**
-     * Create a special property that will flag this callback for removal after
-     * it is called the first time. Functions as objects FTW!
-     */
-    callback.__onlyOnce__ = true
+    if (state.pubsub.all.has(topicName)) {
+      state.pubsub.all
+        .get(topicName)
+        .filter((fn) => { return (fn === callback || fn.__callback__ === callback) })
+        .forEach((fn) => {
+          state.pubsub.off(topicName, fn)
+        })
 
-    pubsub.on(topicName, callback)
-    debug('Registered one-time listener on topic "%s"', topicName)
+      debug('Removed listener from topic "%s"', topicName)
+    }
   }
 
   /**
-   * Adds a subscription for a particular topic that will automatically cancel
-   * immediately after the specified primitive value (or regular expression) is
-   * received (or matched).
+   * Publishes data for a particular topic. All subscribers will be notified.
    *
-   * @param  {Symbol}     topic      One of `TopicalPubSub.prototype.topics`.
+   * Each listener is called in isolation: if one throws an error (or returns a
+   * promise that is rejected), the remaining listeners are still called, and
+   * the error is republished on the "ERROR" topic instead of being thrown to
+   * the caller.
    *
-   * @param  {any}        value      The primitive value to watch for, or a
-   *                                 regular expression to match against.
+   * @param  {Symbol}      topic   One of `TopicalPubSub.prototype.topics`.
    *
-   * @param  {Function}   callback   The function to call when data is published.
-   *                                 If `value` is a regular expression, then
-   *                                 the callback will receive whatever payload
-   *                                 matched the expression. The callback is
-   *                                 executed asynchronously.
+   * @param  {any}         data    The value to publish. If the topic was added
+   *                               with a "payload" validator, then this value
+   *                               must pass it, otherwise an
+   *                               `InvalidArgumentError` will be thrown.
    *
    * @return {undefined}
    */
-  listenFor (topic, value, callback) {
-    const topicName = validate(topic)
+  say (topic, data) {
+    const state = internals.get(this)
+    const topicName = validate(state, topic)
 
     if (!topicName) {
-      throw new TypeError('The "topic" parameter for "listenFor()" is required and must be a value from "topics".')
+      throw new errors.InvalidTopicError('The "topic" parameter for "say()" is required and must be a value from "topics".', topic)
     }
 
-    /**
-     * A list of all primitive value types. Found at
-     * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Data_structures
-     * @type {Array}
-     */
-    const primitives = [
-      'boolean',
-      'number',
-      'string',
-      'bigint',
-      'symbol'
-    ]
+    checkPayload(state, topicName, 'payload', data, 'payload')
+    warnIfDeprecated(state, topicName)
 
-    if (value == null || (!~primitives.indexOf(typeof value) && !(value instanceof RegExp))) {
-      throw new TypeError('The "value" parameter for "listenFor()" is required and must be either a primitive value or an instance of RegExp.')
+    if (state.registry.get(topicName).sticky) {
+      state.stickies.set(topicName, { value: data, time: Date.now() })
     }
 
-    if (typeof callback !== 'function') {
-      throw new TypeError('The "callback" parameter for "listenFor()" is required and must be a function.')
+    if (state.registry.get(topicName).history) {
+      if (!state.histories.has(topicName)) {
+        state.histories.set(topicName, [])
+      }
+
+      state.histories.get(topicName).push(Object.freeze({ payload: data, timestamp: Date.now() }))
+      getHistory(state, topicName)
     }
 
-    const fn = (payload) => {
-      let matched = false
+    deliver(this, topicName, data)
+  }
 
-      if (value instanceof RegExp && value.test(payload)) {
-        matched = true
-        process.nextTick(() => {
-          callback(payload)
-        })
-      } else if (payload === value) {
-        matched = true
-        process.nextTick(callback)
-      }
+  /**
+   * Returns the payloads kept for a topic that has the "history" property.
+   *
+   * @param  {Symbol}   topic   One of `TopicalPubSub.prototype.topics`.
+   *
+   * @return {Array}   A list of frozen objects (oldest first) with the
+   *                   properties `payload` and `timestamp` (the number of
+   *                   milliseconds since the epoch). The list is empty if the
+   *                   topic has no history.
+   *
+   * @throws {InvalidTopicError}   If the topic is not valid.
+   */
+  history (topic) {
+    const state = internals.get(this)
+    const topicName = validate(state, topic)
 
-      if (matched) { pubsub.off(topicName, fn) }
+    if (!topicName) {
+      throw new errors.InvalidTopicError('The "topic" parameter for "history()" is required and must be a value from "topics".', topic)
     }
 
-    pubsub.on(topicName, fn)
+    return getHistory(state, topicName).slice()
   }
 
   /**
-   * Publishes data for a particular topic. All subscribers will be notified.
+   * Returns the last payload published on a topic that has the "sticky"
+   * property.
    *
-   * @param  {Symbol}      topic   One of `TopicalPubSub.prototype.topics`.
+   * @param  {Symbol}   topic   One of `TopicalPubSub.prototype.topics`.
    *
-   * @param  {any}         data    The value to publish.
+   * @return {any}   The payload, or `undefined` if nothing has been published
+   *                 on the topic (or the topic is not sticky, or the payload
+   *                 has expired, or `clearSticky()` has been called since).
    *
-   * @return {undefined}
+   * @throws {InvalidTopicError}   If the topic is not valid.
    */
-  say (topic, data) {
-    const topicName = validate(topic)
+  peek (topic) {
+    const state = internals.get(this)
+    const topicName = validate(state, topic)
 
     if (!topicName) {
-      throw new TypeError('The "topic" parameter for "say()" is required and must be a value from "topics".')
+      throw new errors.InvalidTopicError('The "topic" parameter for "peek()" is required and must be a value from "topics".', topic)
     }
 
-    debug('Saying %o on topic "%s"', data, topicName)
-    pubsub.emit(topicName, data)
+    const entry = getSticky(state, topicName)
 
-    if (pubsub.all.has(topicName)) {
-      debug('Removing one-time listeners...')
+    return (entry ? entry.value : undefined)
+  }
 
-      pubsub.all
-        .get(topicName)
-        .filter((fn) => { return fn.__onlyOnce__ })
-        .forEach((fn) => {
-          pubsub.off(topicName, fn)
-        })
+  /**
+   * Forgets the last payload published on a topic that has the "sticky"
+   * property, so that it won't be passed to any more new listeners.
+   *
+   * @param  {Symbol}   topic   One of `TopicalPubSub.prototype.topics`.
+   *
+   * @return {undefined}
+   *
+   * @throws {InvalidTopicError}   If the topic is not valid.
+   */
+  clearSticky (topic) {
+    const state = internals.get(this)
+    const topicName = validate(state, topic)
 
-      debug('...done')
+    if (!topicName) {
+      throw new errors.InvalidTopicError('The "topic" parameter for "clearSticky()" is required and must be a value from "topics".', topic)
     }
+
+    debug('Clearing the sticky value on topic "%s"', topicName)
+    state.stickies.delete(topicName)
   }
 
   /**
-   * Removes all registered listeners for the specified topic.
+   * Removes all registered listeners for the specified topic. Any iterators
+   * returned by `stream()` for the topic finish once their buffered payloads
+   * have been consumed.
    *
    * @param  {Symbol}      topic   One of `TopicalPubSub.prototype.topics`.
    *
    * @return {undefined}
    */
   cancel (topic) {
-    const topicName = validate(topic)
+    const state = internals.get(this)
+    const topicName = validate(state, topic)
 
     if (!topicName) {
-      throw new TypeError('The "topic" parameter for "cancel()" is required and must be a value from "topics".')
+      throw new errors.InvalidTopicError('The "topic" parameter for "cancel()" is required and must be a value from "topics".', topic)
     }
 
     debug('Dropping all listeners on topic "%s"', topicName)
-    pubsub.all.delete(topicName)
+    state.pubsub.all.delete(topicName)
+    closeStreams(state, topicName)
   }
 
   /**
-   * Removes all registered listeners on all topics.
+   * Removes all registered listeners on all topics. Any iterators returned by
+   * `stream()` finish once their buffered payloads have been consumed.
    *
    * @return {undefined}
    */
   cancelAll () {
+    const state = internals.get(this)
+
     debug('Dropping all listeners on all topics')
-    pubsub.all.clear()
+    state.pubsub.all.clear()
+    state.patterns.length = 0
+
+    Array.from(state.streams.keys()).forEach((topicName) => {
+      closeStreams(state, topicName)
+    })
   }
 
   /**
@@ -331,81 +3047,321 @@ class TopicalPubSub {
    * @param  {Symbol}      topic    One of `TopicalPubSub.prototype.topics`.
    *
    * @param  {any}         query    A value that identifies the information being
+   *                                sought. If the topic was added with a
+   *                                "payload" validator, then this value must
+   *                                pass it, otherwise the promise will be
+   *                                rejected with an `InvalidArgumentError`.
+   *
+   * @param  {Object?}     options  Optional settings for this request.
+   *
+   * @param  {Number?}     options.timeout   The number of milliseconds to wait
+   *                                         for a response. Defaults to
+   *                                         `requestTTL`.
+   *
+   * @param  {AbortSignal?}  options.signal  A signal that can be used to
+   *                                         cancel the request, in which case
+   *                                         the promise will be rejected with
+   *                                         an error named "AbortError".
+   *
+   * @param  {Boolean?}    options.failFast  Whether to reject the promise with
+   *                                         a `NoResponderError` right away if
+   *                                         there are no listeners on the
+   *                                         topic (instead of waiting for the
+   *                                         request to time out). Defaults to
+   *                                         `true` in strict mode, otherwise
+   *                                         `false`.
+   *
+   * @param  {Number?}     options.retries   The number of times to try again
+   *                                         if the request times out (or
+   *                                         there are no listeners, with
+   *                                         `failFast`). Each attempt has its
+   *                                         own tracking number, and a late
+   *                                         response to any earlier attempt is
+   *                                         still accepted. Defaults to 0.
+   *
+   * @param  {Object?}     options.backoff   How long to wait between attempts,
+   *                                         as a plain object with any of the
+   *                                         properties of `DEFAULT_BACKOFF`.
+   *
+   * @return {Promise}   If every attempt fails, then the promise is rejected
+   *                     with a `RetriesExhaustedError`. If the topic has the
+   *                     "cache" property, then the promise may be resolved
+   *                     with a cached response, or with the response to an
+   *                     identical request that is already in progress (in
+   *                     which case that request's options are used). If the
+   *                     topic has the "circuitBreaker" property, and the
+   *                     circuit is open, then the promise is rejected right
+   *                     away with a `CircuitOpenError`.
+   */
+  request (topic, query, options) {
+    const state = internals.get(this)
+    const settings = options || {}
+    const topicName = validate(state, topic)
+    const cache = (topicName ? state.registry.get(topicName).cache : null)
+
+    if (cache) {
+      return requestCached(this, topic, cache, query, settings)
+    }
+
+    return sendRequest(this, topic, query, settings)
+  }
+
+  /**
+   * Removes cached responses (and forgets about any request in progress, so
+   * that its response won't be cached) on a topic that has the "cache"
+   * property. Does nothing for other topics.
+   *
+   * @param  {Symbol}   topic   One of `TopicalPubSub.prototype.topics`.
+   *
+   * @param  {any?}     query   The query whose response should be removed. If
+   *                            omitted, every response on the topic is
+   *                            removed.
+   *
+   * @return {undefined}
+   *
+   * @throws {InvalidTopicError}   If the topic is not valid.
+   */
+  invalidate (topic, query) {
+    const state = internals.get(this)
+    const topicName = validate(state, topic)
+
+    if (!topicName) {
+      throw new errors.InvalidTopicError('The "topic" parameter for "invalidate()" is required and must be a value from "topics".', topic)
+    }
+
+    const cache = state.registry.get(topicName).cache
+    const store = state.caches.get(topicName)
+
+    if (!cache || !store) {
+      return
+    }
+
+    if (arguments.length < 2) {
+      debug('Clearing the cache for topic "%s"', topicName)
+      state.caches.delete(topicName)
+      return
+    }
+
+    const key = cache.key(query)
+
+    debug('Clearing the cached response on topic "%s" for %o', topicName, query)
+    store.entries.delete(key)
+    store.inFlight.delete(key)
+  }
+
+  /**
+   * Requests information from every subscriber that wants to provide it (also
+   * known as "scatter/gather"). This works the same way as `request`, except
+   * that every response received within the time limit is collected, instead
+   * of just the first one.
+   *
+   * @param  {Symbol}      topic    One of `TopicalPubSub.prototype.topics`.
+   *
+   * @param  {any}         query    A value that identifies the information being
    *                                sought.
    *
-   * @return {Promise}
+   * @param  {Object?}     options  The same options as `request`, plus:
+   *
+   * @param  {Number?}     options.max   The number of responses to wait for.
+   *                                     Once this many have been received, the
+   *                                     promise will be resolved right away.
+   *
+   * @return {Promise}   Resolved with a list of plain objects (one per
+   *                     response, in the order received) with the properties
+   *                     `value` (the information that was sent to `respond`)
+   *                     and `elapsedMs`. An error sent by a responder (via
+   *                     `respondError`, or a rejected promise) is collected
+   *                     too, with the property `error` in place of `value`,
+   *                     and counts towards "max". If the time limit is
+   *                     reached, then the promise is resolved with whatever
+   *                     has been received so far (which may be nothing at
+   *                     all).
    */
-  request (topic, query) {
+  requestAll (topic, query, options) {
     return new Promise((resolve, reject) => {
-      const topicName = validate(topic)
+      const settings = options || {}
+      const responses = []
 
-      if (!topicName) {
-        throw new TypeError('The "topic" parameter for "request()" is required and must be a value from "topics".')
-      }
-
-      /**
-       * The "tracking number" is a unique identifier that belongs to this
-       * request, and only this request. It is used to match up the response.
-       * @type {String}
-       */
-      const trackingNo = uid()
-
-      /**
-       * This is used to report the amount of time spent waiting for the response.
-       * Should be useful for troubleshooting or anaylzing the performance of
-       * other parts of code.
-       * @type {Date}
-       */
-      const startTime = new Date()
-
-      /**
-       * This Promise will only be resolved when the matching response is
-       * received. If (for whatever reason) the response never arrives, then the
-       * entire application could freeze, stuck in an endless loop.
-       *
-       * This "watchdog" is responsible for preventing such a situation. If the
-       * response doesn't arrive within a specific timeframe (defined above in
-       * the constructor), then the watchdog will cause the Promise to be
-       * rejected.
-       * @type {Timeout}
-       */
-      const watchdog = global.setTimeout(
-        () => {
-          debug('Failed to receive response to %s within %d sec', trackingNo, (requestTTL / 1000))
-          reject(new Error('No response received within the required time limit.'))
+      if (settings.max != null && !(Number.isInteger(settings.max) && settings.max > 0)) {
+        throw new errors.InvalidArgumentError('The "max" option for "requestAll()" must be a positive integer.')
+      }
+
+      const collect = (entry, pending) => {
+        responses.push(entry)
+
+        if (responses.length === settings.max) {
+          pending.close()
+          resolve(responses)
+        }
+      }
+
+      openRequest(this, 'requestAll', topic, query, settings, {
+        onResponse: (answer, elapsedMs, pending) => {
+          debug('%s received response #%d', pending.trackingNo, responses.length + 1)
+          collect({ value: answer, elapsedMs: elapsedMs }, pending)
+        },
+        onError: (err, elapsedMs, pending) => {
+          debug('%s received an error as response #%d: %o', pending.trackingNo, responses.length + 1, err)
+          collect({ error: err, elapsedMs: elapsedMs }, pending)
         },
-        requestTTL
-      )
+        onTimeout: () => {
+          resolve(responses)
+        },
+        onFailure: reject
+      })
+    })
+  }
+
+  /**
+   * Requests information that the subscriber will provide incrementally (such
+   * as paginated results, or progress updates). The subscriber should send
+   * each piece using `respond.next()`, and then finish by calling either
+   * `respond.end()` or `respond.error()`. (A single call to `respond()` also
+   * works, and is treated as the last piece.)
+   *
+   * Instead of being a limit on the request as a whole, the time limit applies
+   * to the wait for each piece: if nothing arrives within that time, then the
+   * iteration fails with an error.
+   *
+   * @param  {Symbol}      topic    One of `TopicalPubSub.prototype.topics`.
+   *
+   * @param  {any}         query    A value that identifies the information being
+   *                                sought.
+   *
+   * @param  {Object?}     options  The same options as `request`.
+   *
+   * @return {Object}   An async iterator (which is also iterable, so that it can
+   *                    be used with `for await...of`). Breaking out of the loop
+   *                    stops the request.
+   *
+   * @throws {InvalidArgumentError}   If any of the parameters are not valid.
+   */
+  requestStream (topic, query, options) {
+    const stream = channel.createChannel(() => {
+      if (request) {
+        debug('Stream for %s was closed by the consumer', request.trackingNo)
+        request.close('expired')
+      }
+    })
 
-      debug('Submitting request for %o with tracking number %s', query, trackingNo)
+    const request = openRequest(this, 'requestStream', topic, query, options, {
+      onResponse: (answer, elapsedMs, pending) => {
+        pending.close()
+        stream.push(answer)
+        stream.end()
+      },
+      onChunk: (chunk, elapsedMs, pending) => {
+        pending.restartWatchdog()
+        stream.push(chunk)
+      },
+      onEnd: (pending) => {
+        pending.close()
+        stream.end()
+      },
+      onError: (err, elapsedMs, pending) => {
+        pending.close()
+        stream.fail(err)
+      },
+      onTimeout: stream.fail,
+      onFailure: stream.fail
+    })
 
-      // the handler needs to be set before calling `say` (otherwise the
-      // sequence of events won't work out right)
-      pubsub.on(trackingNo, (answer) => {
-        global.clearTimeout(watchdog)
+    return stream.iterator
+  }
 
-        const now = new Date()
-        let elapsedTime = (now.getTime() - startTime.getTime()) / 1000
+  /**
+   * Adds a subscription that only receives requests (and not anything else
+   * published on the same topic with `say`), and responds to each one
+   * automatically.
+   *
+   * The handler is called with the query, and a plain object with the
+   * properties `topic` (the same Symbol that was passed in) and `trackingNo`.
+   * Whatever it returns (or the value that its promise is resolved with) is
+   * sent back via `respond`. If it throws an error (or its promise is
+   * rejected), then the error is sent back via `respondError` instead.
+   *
+   * If the topic was added with a "dispatch" strategy, then each request goes
+   * to only one of the handlers on the topic. If that handler throws an error
+   * synchronously, then the request is passed to the next one instead.
+   *
+   * @param  {Symbol}      topic     One of `TopicalPubSub.prototype.topics`.
+   *
+   * @param  {Function}    handler   The function to call for each request.
+   *
+   * @return {Object}   An object with an `unsubscribe` method, which removes
+   *                    this handler.
+   */
+  handle (topic, handler) {
+    const state = internals.get(this)
+    const topicName = validate(state, topic)
 
-        if (elapsedTime < 1) {
-          elapsedTime = 'less than 1 sec'
-        } else {
-          elapsedTime = `${elapsedTime} sec`
-        }
+    if (!topicName) {
+      throw new errors.InvalidTopicError('The "topic" parameter for "handle()" is required and must be a value from "topics".', topic)
+    }
 
-        debug('%s had a cycle time of %s', trackingNo, elapsedTime)
+    if (typeof handler !== 'function') {
+      throw new errors.InvalidArgumentError('The "handler" parameter for "handle()" is required and must be a function.')
+    }
 
-        resolve(answer)
+    /**
+     * Calls the handler, and sends back whatever it returns. An error thrown
+     * synchronously by the handler is not caught here, so that the request can
+     * fall over to another handler (see `dispatchRequest`).
+     */
+    const run = (payload) => {
+      const context = Object.freeze({ topic: lookup(state.topicEnum, topicName), trackingNo: payload.trackingNo })
+      const result = handler(payload.query, context)
+
+      listener.__inFlight__ += 1
+
+      return Promise.resolve(result)
+        .then(
+          (answer) => {
+            listener.__inFlight__ -= 1
+            TopicalPubSub.prototype.respond.call(this, payload.trackingNo, answer)
+          },
+          (err) => {
+            listener.__inFlight__ -= 1
+            throw err
+          }
+        )
+    }
 
-        // remove the listener after we're done here, because it can never be
-        // called again
-        process.nextTick(() => {
-          pubsub.all.delete(trackingNo)
-        })
-      })
+    // a rejection of the promise returned here is sent back to the caller
+    // (see `openRequest`), which covers errors thrown by the handler as well
+    // as an answer that doesn't pass the "response" validator
+    const listener = (payload) => {
+      if (!requestEnvelopes.has(payload)) {
+        return
+      }
 
-      this.say(topic, { trackingNo: trackingNo, query: query })
-    })
+      const plan = dispatchPlans.get(payload)
+
+      if (plan) {
+        return (plan[0] === listener ? dispatchRequest(plan, payload) : undefined)
+      }
+
+      return new Promise((resolve) => { resolve(run(payload)) })
+    }
+
+    /**
+     * Keep a reference to the original handler, so that this listener can
+     * also be found by `unlisten()`.
+     */
+    listener.__callback__ = handler
+
+    /**
+     * These mark the listener as a handler, for `planDispatch()`.
+     */
+    listener.__run__ = run
+    listener.__inFlight__ = 0
+
+    warnIfDeprecated(state, topicName)
+
+    state.pubsub.on(topicName, listener)
+    debug('Registered handler on topic "%s"', topicName)
+
+    return createSubscription(removeListener(state, topicName, listener))
   }
 
   /**
@@ -415,16 +3371,72 @@ class TopicalPubSub {
    *                              request. This is required in order to match
    *                              everything up correctly.
    *
-   * @param  {any}   answer       The information that was requested.
+   * @param  {any}   answer       The information that was requested. If the
+   *                              topic of the original request was added with
+   *                              a "response" validator, then this value must
+   *                              pass it, otherwise an `InvalidArgumentError`
+   *                              will be thrown.
    *
-   * @return {undefined}
+   * @return {Boolean}   Whether the answer was delivered to a pending
+   *                     request.
    */
   respond (trackingNo, answer) {
+    const state = internals.get(this)
+
     debug('Received response for %s: %o', trackingNo, answer)
-    pubsub.emit(trackingNo, answer)
+    return sendFrame(state, trackingNo, 'value', answer)
   }
+
+  /**
+   * Responds to a request with an error, instead of the information that was
+   * requested. This causes the promise returned by `request` to be rejected
+   * with the given error (to which the properties `topic` and `trackingNo` are
+   * added, if it doesn't already have them).
+   *
+   * Returning a rejected promise from the listener that received the request
+   * has the same effect.
+   *
+   * @param  {any}   trackingNo   The value published as part of the original
+   *                              request.
+   *
+   * @param  {any}   error        The reason that the request could not be
+   *                              fulfilled.
+   *
+   * @return {Boolean}   Whether the error was delivered to a pending
+   *                     request.
+   */
+  respondError (trackingNo, error) {
+    const state = internals.get(this)
+
+    debug('Received error for %s: %o', trackingNo, error)
+    return sendFrame(state, trackingNo, 'error', error)
+  }
+}
+
+/**
+ * Returns a new, fully independent instance. Each instance has its own topics,
+ * listeners, request TTL, and pending requests; nothing is shared with the
+ * default instance exported by this module (or any other instance).
+ *
+ * @param  {Object?}   options   See the constructor of `TopicalPubSub`.
+ *
+ * @return {TopicalPubSub}
+ */
+function createBus (options) {
+  return new TopicalPubSub(options)
 }
 
 const instance = new TopicalPubSub()
 
 module.exports = instance
+module.exports.createBus = createBus
+module.exports.TopicoError = errors.TopicoError
+module.exports.InvalidArgumentError = errors.InvalidArgumentError
+module.exports.InvalidTopicError = errors.InvalidTopicError
+module.exports.RequestTimeoutError = errors.RequestTimeoutError
+module.exports.RetriesExhaustedError = errors.RetriesExhaustedError
+module.exports.UnknownTrackingNumberError = errors.UnknownTrackingNumberError
+module.exports.NoResponderError = errors.NoResponderError
+module.exports.WaitTimeoutError = errors.WaitTimeoutError
+module.exports.CircuitOpenError = errors.CircuitOpenError
+module.exports.StreamOverflowError = errors.StreamOverflowError
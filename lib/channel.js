@@ -0,0 +1,182 @@
+'use strict'
+
+/**
+ * Returns a new "channel", which turns values that are pushed into it (by the
+ * producer) into an async iterator (for the consumer).
+ *
+ * @param  {Function?}   onClose   Called (once) when the consumer stops
+ *                                 iterating early, by calling `return()` on
+ *                                 the iterator (which is what happens when
+ *                                 breaking out of a `for await...of` loop).
+ *
+ * @param  {Object?}     limits    Optional settings for the queue.
+ *
+ * @param  {Number?}     limits.bufferSize   The most values to hold while
+ *                                           the consumer catches up. Defaults
+ *                                           to `Infinity`.
+ *
+ * @param  {String?}     limits.overflow     What to do with a value that is
+ *                                           pushed while the queue is full:
+ *                                           "drop-oldest" (make room for it),
+ *                                           "drop-newest" (ignore it), or
+ *                                           "error" (also ignore it, but it
+ *                                           is up to the producer to call
+ *                                           `fail()`). Defaults to "error".
+ *
+ * @return {Object}   A plain object with the following properties:
+ *  - `iterator`   {Object}     The async iterator (which is also iterable),
+ *                              to be handed to the consumer.
+ *  - `push`       {Function}   Adds a value to the end of the queue, and
+ *                              returns whether it was added.
+ *  - `end`        {Function}   Ends the iteration, once everything in the
+ *                              queue has been consumed.
+ *  - `fail`       {Function}   Ends the iteration with the given error, once
+ *                              everything in the queue has been consumed.
+ */
+function createChannel (onClose, limits) {
+  const bufferSize = ((limits || {}).bufferSize == null ? Infinity : limits.bufferSize)
+  const overflow = ((limits || {}).overflow || 'error')
+
+  /**
+   * The values that have been pushed, but not yet consumed.
+   * @type {Array}
+   */
+  const queue = []
+
+  /**
+   * The promises returned by `next()` that are waiting for a value, as a list
+   * of plain objects with the properties `resolve` and `reject`.
+   * @type {Array}
+   */
+  const readers = []
+
+  /**
+   * Whether the producer has finished (or the consumer has stopped).
+   * @type {Boolean}
+   */
+  let finished = false
+
+  /**
+   * Whether there is an error to throw once the queue is empty. (This is kept
+   * apart from the error itself, which could be any value at all.)
+   * @type {Boolean}
+   */
+  let failed = false
+
+  /**
+   * The error to throw once the queue is empty (see `failed`).
+   * @type {any}
+   */
+  let failure = null
+
+  /**
+   * Settles any waiting readers once the queue has run dry.
+   */
+  const drain = () => {
+    while (readers.length > 0 && queue.length > 0) {
+      readers.shift().resolve({ value: queue.shift(), done: false })
+    }
+
+    if (finished && queue.length === 0) {
+      while (readers.length > 0) {
+        const reader = readers.shift()
+
+        if (failed) {
+          reader.reject(failure)
+          failed = false
+          failure = null
+        } else {
+          reader.resolve({ value: undefined, done: true })
+        }
+      }
+    }
+  }
+
+  const iterator = {
+    next: () => {
+      if (queue.length > 0) {
+        return Promise.resolve({ value: queue.shift(), done: false })
+      }
+
+      if (finished) {
+        if (failed) {
+          const err = failure
+
+          failed = false
+          failure = null
+          return Promise.reject(err)
+        }
+
+        return Promise.resolve({ value: undefined, done: true })
+      }
+
+      return new Promise((resolve, reject) => {
+        readers.push({ resolve: resolve, reject: reject })
+      })
+    },
+
+    return: () => {
+      if (!finished) {
+        finished = true
+
+        if (typeof onClose === 'function') {
+          onClose()
+        }
+      }
+
+      queue.length = 0
+      failed = false
+      failure = null
+      drain()
+
+      return Promise.resolve({ value: undefined, done: true })
+    },
+
+    [Symbol.asyncIterator]: function () {
+      return this
+    }
+  }
+
+  return {
+    iterator: iterator,
+
+    push: (value) => {
+      if (finished) {
+        return false
+      }
+
+      if (readers.length === 0 && queue.length >= bufferSize) {
+        if (overflow !== 'drop-oldest') {
+          return false
+        }
+
+        queue.shift()
+      }
+
+      queue.push(value)
+      drain()
+
+      return true
+    },
+
+    end: () => {
+      if (!finished) {
+        finished = true
+        drain()
+      }
+    },
+
+    fail: (err) => {
+      if (!finished) {
+        finished = true
+        failed = true
+        failure = err
+        drain()
+      }
+    }
+  }
+}
+
+module.exports = {
+  createChannel: createChannel
+}
@@ -0,0 +1,246 @@
+'use strict'
+
+/**
+ * Marks an error as belonging to this module, so that `instanceof TopicoError`
+ * works for every error class below (including the ones that have to extend
+ * `TypeError`, rather than `TopicoError` itself).
+ * @type {Symbol}
+ */
+const BRAND = Symbol('topico.error')
+
+/**
+ * Sets the properties that every error from this module has in common.
+ *
+ * @param  {Error}     err       The error to set up.
+ *
+ * @param  {String}    code      A stable identifier for the kind of error,
+ *                               which (unlike the message) will not change.
+ *
+ * @param  {Object?}   details   Any extra properties to copy onto the error.
+ *
+ * @return {undefined}
+ */
+function brand (err, code, details) {
+  Object.defineProperty(err, BRAND, { value: true })
+
+  err.name = err.constructor.name
+  err.code = code
+
+  Object.assign(err, details)
+}
+
+/**
+ * The base class of every error thrown (or used to reject a promise) by this
+ * module. It is also used on its own, for failures that don't need a class of
+ * their own.
+ */
+class TopicoError extends Error {
+  /**
+   * @param  {String}    message   A description of the error.
+   *
+   * @param  {String?}   code      A stable identifier for the kind of error.
+   *                               Defaults to "ERR_TOPICO".
+   *
+   * @param  {Object?}   details   Any extra properties to copy onto the error.
+   */
+  constructor (message, code, details) {
+    super(message)
+    brand(this, code || 'ERR_TOPICO', details)
+  }
+
+  /**
+   * Allows `instanceof TopicoError` to recognize errors from this module that
+   * extend `TypeError` instead. Subclasses keep the usual behavior.
+   *
+   * @param  {any}   instance   The value on the left side of `instanceof`.
+   *
+   * @return {Boolean}
+   */
+  static [Symbol.hasInstance] (instance) {
+    if (this !== TopicoError) {
+      return Function.prototype[Symbol.hasInstance].call(this, instance)
+    }
+
+    return (instance !== null && typeof instance === 'object' && instance[BRAND] === true)
+  }
+}
+
+/**
+ * The error thrown when a parameter (or option) is missing or not valid. For
+ * backward compatibility, it is also an instance of `TypeError`.
+ */
+class InvalidArgumentError extends TypeError {
+  /**
+   * @param  {String}    message   A description of the problem.
+   *
+   * @param  {String?}   code      Only for use by subclasses.
+   */
+  constructor (message, code) {
+    super(message)
+    brand(this, code || 'ERR_INVALID_ARGUMENT')
+  }
+}
+
+/**
+ * The error thrown when a topic is not one of the valid topics, or when a new
+ * topic cannot be added.
+ */
+class InvalidTopicError extends InvalidArgumentError {
+  /**
+   * @param  {String}   message   A description of the problem.
+   *
+   * @param  {any}      topic     The topic (or topic name) in question.
+   */
+  constructor (message, topic) {
+    super(message, 'ERR_INVALID_TOPIC')
+    this.topic = topic
+  }
+}
+
+/**
+ * The error used to reject a request when no response arrives within the time
+ * limit.
+ */
+class RequestTimeoutError extends TopicoError {
+  /**
+   * @param  {String}   topic        The name of the requested topic.
+   *
+   * @param  {String}   trackingNo   The tracking number of the request.
+   *
+   * @param  {any}      query        The query that was published.
+   *
+   * @param  {Number}   elapsedMs    The number of milliseconds spent waiting.
+   */
+  constructor (topic, trackingNo, query, elapsedMs) {
+    super('No response received within the required time limit.', 'ERR_REQUEST_TIMEOUT', {
+      topic: topic,
+      trackingNo: trackingNo,
+      query: query,
+      elapsedMs: elapsedMs
+    })
+  }
+}
+
+/**
+ * The error used to reject a request when every attempt (see the "retries"
+ * option) has failed.
+ */
+class RetriesExhaustedError extends TopicoError {
+  /**
+   * @param  {String}   topic      The name of the requested topic.
+   *
+   * @param  {any}      query      The query that was published.
+   *
+   * @param  {Array}    failures   The error from each attempt, in order.
+   */
+  constructor (topic, query, failures) {
+    super(`The request on topic "${topic}" failed after ${failures.length} attempts.`, 'ERR_RETRIES_EXHAUSTED', {
+      topic: topic,
+      query: query,
+      errors: failures
+    })
+  }
+}
+
+/**
+ * The error thrown (in strict mode) when responding with a tracking number
+ * that doesn't belong to a pending request.
+ */
+class UnknownTrackingNumberError extends TopicoError {
+  /**
+   * @param  {any}   trackingNo   The tracking number in question.
+   */
+  constructor (trackingNo) {
+    super(`The tracking number "${String(trackingNo)}" does not belong to a pending request.`, 'ERR_UNKNOWN_TRACKING_NUMBER', {
+      trackingNo: trackingNo
+    })
+  }
+}
+
+/**
+ * The error used to reject a request when there is nothing listening on the
+ * requested topic (and therefore nothing that could possibly respond).
+ */
+class NoResponderError extends TopicoError {
+  /**
+   * @param  {String}   topic        The name of the requested topic.
+   *
+   * @param  {String}   trackingNo   The tracking number of the request.
+   */
+  constructor (topic, trackingNo) {
+    super(`There are no listeners on topic "${topic}" to respond to the request.`, 'ERR_NO_RESPONDER', {
+      topic: topic,
+      trackingNo: trackingNo
+    })
+  }
+}
+
+/**
+ * The error used to reject the promise returned by `next()` when nothing
+ * matching is published within the time limit.
+ */
+class WaitTimeoutError extends TopicoError {
+  /**
+   * @param  {String}   topic       The name of the topic being watched.
+   *
+   * @param  {Number}   elapsedMs   The number of milliseconds spent waiting.
+   */
+  constructor (topic, elapsedMs) {
+    super(`Nothing matching was published on topic "${topic}" within the required time limit.`, 'ERR_WAIT_TIMEOUT', {
+      topic: topic,
+      elapsedMs: elapsedMs
+    })
+  }
+}
+
+/**
+ * The error used to reject a request on a topic whose circuit breaker is open
+ * (because too many of the recent requests on it have failed).
+ */
+class CircuitOpenError extends TopicoError {
+  /**
+   * @param  {String}   topic          The name of the requested topic.
+   *
+   * @param  {Number}   retryAfterMs   The number of milliseconds until the
+   *                                   circuit breaker lets a request through
+   *                                   again (0 if a trial request is already
+   *                                   in progress).
+   */
+  constructor (topic, retryAfterMs) {
+    super(`The circuit breaker for topic "${topic}" is open.`, 'ERR_CIRCUIT_OPEN', {
+      topic: topic,
+      retryAfterMs: retryAfterMs
+    })
+  }
+}
+
+/**
+ * The error thrown by an iterator returned by `stream()` when its consumer
+ * falls too far behind (with the "error" overflow strategy).
+ */
+class StreamOverflowError extends TopicoError {
+  /**
+   * @param  {String}   topic        The name of the topic being streamed.
+   *
+   * @param  {Number}   bufferSize   The most payloads that could be held.
+   */
+  constructor (topic, bufferSize) {
+    super(`The stream for topic "${topic}" fell more than ${bufferSize} payloads behind.`, 'ERR_STREAM_OVERFLOW', {
+      topic: topic,
+      bufferSize: bufferSize
+    })
+  }
+}
+
+module.exports = {
+  TopicoError: TopicoError,
+  InvalidArgumentError: InvalidArgumentError,
+  InvalidTopicError: InvalidTopicError,
+  RequestTimeoutError: RequestTimeoutError,
+  RetriesExhaustedError: RetriesExhaustedError,
+  UnknownTrackingNumberError: UnknownTrackingNumberError,
+  NoResponderError: NoResponderError,
+  WaitTimeoutError: WaitTimeoutError,
+  CircuitOpenError: CircuitOpenError,
+  StreamOverflowError: StreamOverflowError
+}
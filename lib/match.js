@@ -0,0 +1,122 @@
+'use strict'
+
+/**
+ * Returns `true` if the value is a plain object (such as an object literal).
+ *
+ * @param  {any}   value   The value to check.
+ *
+ * @return {Boolean}
+ */
+function isPlainObject (value) {
+  if (value === null || typeof value !== 'object') {
+    return false
+  }
+
+  const prototype = Object.getPrototypeOf(value)
+
+  return (prototype === Object.prototype || prototype === null)
+}
+
+/**
+ * Returns `true` if the regular expression matches the string. (The search
+ * always starts from the beginning, even if the expression has the "g" or "y"
+ * flag.)
+ *
+ * @param  {RegExp}   pattern   The regular expression.
+ *
+ * @param  {any}      value     The value to search (converted to a string).
+ *
+ * @return {Boolean}
+ */
+function test (pattern, value) {
+  pattern.lastIndex = 0
+  return pattern.test(value)
+}
+
+/**
+ * Returns `true` if the value matches the given part of a pattern.
+ *
+ * @param  {any}   expected   One of the following:
+ *                             - a regular expression, which the value must be
+ *                               a string that matches;
+ *                             - a function, which must return a truthy value
+ *                               when called with the value;
+ *                             - an array, every item of which must match at
+ *                               least one item of the value (which must also
+ *                               be an array), in any order;
+ *                             - a plain object, which the value must match
+ *                               partially (see `matchesPartial`);
+ *                             - anything else, which the value must be
+ *                               identical to.
+ *
+ * @param  {any}   actual     The value to check.
+ *
+ * @return {Boolean}
+ */
+function matchesValue (expected, actual) {
+  if (expected instanceof RegExp) {
+    return (typeof actual === 'string' && test(expected, actual))
+  }
+
+  if (typeof expected === 'function') {
+    return !!expected(actual)
+  }
+
+  if (Array.isArray(expected)) {
+    return (Array.isArray(actual) && expected.every((item) => {
+      return actual.some((candidate) => matchesValue(item, candidate))
+    }))
+  }
+
+  if (isPlainObject(expected)) {
+    return matchesPartial(expected, actual)
+  }
+
+  return (actual === expected)
+}
+
+/**
+ * Returns `true` if every property of the pattern matches the same property
+ * of the value (see `matchesValue`). Any other properties of the value are
+ * ignored.
+ *
+ * @param  {Object}   pattern   A plain object.
+ *
+ * @param  {any}      value     The value to check.
+ *
+ * @return {Boolean}
+ */
+function matchesPartial (pattern, value) {
+  if (value === null || typeof value !== 'object') {
+    return false
+  }
+
+  return Object.keys(pattern).every((key) => {
+    return matchesValue(pattern[key], value[key])
+  })
+}
+
+/**
+ * Returns a function that checks whether a value matches the given pattern.
+ *
+ * @param  {any}   pattern   Anything accepted by `matchesValue`, except that
+ *                           a regular expression is also tested against
+ *                           values that are not strings (after converting
+ *                           them to strings).
+ *
+ * @return {Function}   A function that takes a value, and returns a boolean.
+ *                      It throws any error thrown by a function in the
+ *                      pattern.
+ */
+function compile (pattern) {
+  if (pattern instanceof RegExp) {
+    return (value) => test(pattern, value)
+  }
+
+  return (value) => matchesValue(pattern, value)
+}
+
+module.exports = {
+  compile: compile,
+  isPlainObject: isPlainObject
+}
@@ -0,0 +1,363 @@
+'use strict'
+
+const errors = require('./errors.js')
+
+/**
+ * The JSON Schema keywords that are understood by this (minimal) validator.
+ * Annotation keywords, such as "title", are accepted but have no effect.
+ * @type {Array}
+ */
+const SUPPORTED_KEYWORDS = [
+  '$schema',
+  '$id',
+  'title',
+  'description',
+  'default',
+  'examples',
+  'type',
+  'enum',
+  'const',
+  'properties',
+  'required',
+  'additionalProperties',
+  'items',
+  'minItems',
+  'maxItems',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minimum',
+  'maximum',
+  'exclusiveMinimum',
+  'exclusiveMaximum'
+]
+
+/**
+ * The values that are allowed for the "type" keyword.
+ * @type {Array}
+ */
+const SUPPORTED_TYPES = [
+  'string',
+  'number',
+  'integer',
+  'boolean',
+  'object',
+  'array',
+  'null'
+]
+
+/**
+ * The keywords whose value must be a non-negative integer.
+ * @type {Array}
+ */
+const COUNT_KEYWORDS = ['minItems', 'maxItems', 'minLength', 'maxLength']
+
+/**
+ * The keywords whose value must be a number.
+ * @type {Array}
+ */
+const BOUND_KEYWORDS = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum']
+
+/**
+ * The regular expression for the "pattern" keyword of each schema (or part of
+ * a schema) that has one, compiled once by `checkSchema()`.
+ * @type {WeakMap}
+ */
+const patterns = new WeakMap()
+
+/**
+ * Returns `true` if the value is of the named JSON Schema type.
+ *
+ * @param  {any}      value   The value to check.
+ *
+ * @param  {String}   type    One of `SUPPORTED_TYPES`.
+ *
+ * @return {Boolean}
+ */
+function isOfType (value, type) {
+  switch (type) {
+    case 'string':
+      return (typeof value === 'string')
+
+    case 'number':
+      return (typeof value === 'number' && !Number.isNaN(value))
+
+    case 'integer':
+      return Number.isInteger(value)
+
+    case 'boolean':
+      return (typeof value === 'boolean')
+
+    case 'object':
+      return (value !== null && typeof value === 'object' && !Array.isArray(value))
+
+    case 'array':
+      return Array.isArray(value)
+
+    default:
+      return (value === null)
+  }
+}
+
+/**
+ * Returns `true` if both values have the same JSON representation. This is
+ * good enough for comparing against "enum" and "const", which can only
+ * contain JSON values anyway.
+ *
+ * @param  {any}   a
+ *
+ * @param  {any}   b
+ *
+ * @return {Boolean}
+ */
+function isEqual (a, b) {
+  return (a === b || JSON.stringify(a) === JSON.stringify(b))
+}
+
+/**
+ * Returns the path to a property of the object at the given path, using dot
+ * notation wherever possible.
+ *
+ * @param  {String}          path   The path to the object.
+ *
+ * @param  {String|Number}   key    The name of the property (or index of the
+ *                                  item).
+ *
+ * @return {String}
+ */
+function childPath (path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`
+  }
+
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+    return `${path}.${key}`
+  }
+
+  return `${path}[${JSON.stringify(key)}]`
+}
+
+/**
+ * Throws an error if the schema uses anything other than the supported subset
+ * of JSON Schema, or gives a keyword a value that it cannot use. This is done
+ * up front, so that a mistake in the schema is not silently ignored (or
+ * turned into an unrelated error) at the time a payload is checked. Each
+ * "pattern" is compiled here, too (see `patterns`).
+ *
+ * @param  {Object}   schema   The schema to check.
+ *
+ * @param  {String}   path     The location of the schema (for error messages).
+ *
+ * @return {undefined}
+ */
+function checkSchema (schema, path) {
+  if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new errors.InvalidArgumentError(`The schema at "${path}" must be a plain object.`)
+  }
+
+  Object.keys(schema).forEach((keyword) => {
+    if (!~SUPPORTED_KEYWORDS.indexOf(keyword)) {
+      throw new errors.InvalidArgumentError(`The schema at "${path}" uses the unsupported keyword "${keyword}".`)
+    }
+  })
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type)
+
+    types.forEach((type) => {
+      if (!~SUPPORTED_TYPES.indexOf(type)) {
+        throw new errors.InvalidArgumentError(`The schema at "${path}" uses the unsupported type "${type}".`)
+      }
+    })
+  }
+
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    throw new errors.InvalidArgumentError(`The "enum" keyword in the schema at "${path}" must be an array.`)
+  }
+
+  if (schema.required !== undefined && !Array.isArray(schema.required)) {
+    throw new errors.InvalidArgumentError(`The "required" keyword in the schema at "${path}" must be an array.`)
+  }
+
+  COUNT_KEYWORDS.forEach((keyword) => {
+    if (schema[keyword] !== undefined && !(Number.isInteger(schema[keyword]) && schema[keyword] >= 0)) {
+      throw new errors.InvalidArgumentError(`The "${keyword}" keyword in the schema at "${path}" must be a non-negative integer.`)
+    }
+  })
+
+  BOUND_KEYWORDS.forEach((keyword) => {
+    if (schema[keyword] !== undefined && !Number.isFinite(schema[keyword])) {
+      throw new errors.InvalidArgumentError(`The "${keyword}" keyword in the schema at "${path}" must be a number.`)
+    }
+  })
+
+  if (schema.pattern !== undefined) {
+    if (typeof schema.pattern !== 'string') {
+      throw new errors.InvalidArgumentError(`The "pattern" keyword in the schema at "${path}" must be a string.`)
+    }
+
+    try {
+      patterns.set(schema, new RegExp(schema.pattern, 'u'))
+    } catch (err) {
+      throw new errors.InvalidArgumentError(`The "pattern" keyword in the schema at "${path}" is not a valid regular expression: ${err.message}`)
+    }
+  }
+
+  if (schema.properties !== undefined) {
+    if (schema.properties === null || typeof schema.properties !== 'object' || Array.isArray(schema.properties)) {
+      throw new errors.InvalidArgumentError(`The "properties" keyword in the schema at "${path}" must be a plain object.`)
+    }
+
+    Object.keys(schema.properties).forEach((key) => {
+      checkSchema(schema.properties[key], `${path}.properties.${key}`)
+    })
+  }
+
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    checkSchema(schema.additionalProperties, `${path}.additionalProperties`)
+  }
+
+  if (schema.items !== undefined) {
+    checkSchema(schema.items, `${path}.items`)
+  }
+}
+
+/**
+ * Returns a description of the first way in which the value does not conform
+ * to the schema, or `null` if it does conform.
+ *
+ * @param  {Object}   schema   A schema that has already been checked.
+ *
+ * @param  {any}      value    The value to check.
+ *
+ * @param  {String}   path     The location of the value (for error messages).
+ *
+ * @return {Object?}  A plain object with the properties `path` and `message`.
+ */
+function findViolation (schema, value, path) {
+  const fail = (message, where) => { return { path: where || path, message: message } }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type)
+
+    if (!types.some((type) => { return isOfType(value, type) })) {
+      return fail(`must be of type ${types.join(' or ')}`)
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some((item) => { return isEqual(item, value) })) {
+    return fail(`must be one of ${JSON.stringify(schema.enum)}`)
+  }
+
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    return fail(`must be equal to ${JSON.stringify(schema.const)}`)
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail(`must be at least ${schema.minLength} characters long`)
+    }
+
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`must be no more than ${schema.maxLength} characters long`)
+    }
+
+    if (schema.pattern !== undefined && !patterns.get(schema).test(value)) {
+      return fail(`must match the pattern /${schema.pattern}/`)
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail(`must be greater than or equal to ${schema.minimum}`)
+    }
+
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail(`must be less than or equal to ${schema.maximum}`)
+    }
+
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      return fail(`must be greater than ${schema.exclusiveMinimum}`)
+    }
+
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      return fail(`must be less than ${schema.exclusiveMaximum}`)
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(`must contain at least ${schema.minItems} item(s)`)
+    }
+
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must contain no more than ${schema.maxItems} item(s)`)
+    }
+
+    if (schema.items !== undefined) {
+      for (let i = 0; i < value.length; i++) {
+        const violation = findViolation(schema.items, value[i], childPath(path, i))
+
+        if (violation) { return violation }
+      }
+    }
+  } else if (isOfType(value, 'object')) {
+    const properties = schema.properties || {}
+    const required = schema.required || []
+
+    for (let i = 0; i < required.length; i++) {
+      if (!Object.hasOwnProperty.call(value, required[i])) {
+        return fail('is required', childPath(path, required[i]))
+      }
+    }
+
+    const keys = Object.keys(value)
+
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[i]
+      const where = childPath(path, key)
+      let violation = null
+
+      if (Object.hasOwnProperty.call(properties, key)) {
+        violation = findViolation(properties[key], value[key], where)
+      } else if (schema.additionalProperties === false) {
+        violation = fail('is not allowed', where)
+      } else if (isOfType(schema.additionalProperties, 'object')) {
+        violation = findViolation(schema.additionalProperties, value[key], where)
+      }
+
+      if (violation) { return violation }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Returns a function that checks values against the given schema, which must
+ * only use the following subset of JSON Schema: "type", "enum", "const",
+ * "properties", "required", "additionalProperties", "items", "minItems",
+ * "maxItems", "minLength", "maxLength", "pattern", "minimum", "maximum",
+ * "exclusiveMinimum", and "exclusiveMaximum" (plus annotations such as
+ * "title" and "description"). The schema itself is checked immediately.
+ *
+ * @param  {Object}   schema   The schema to compile.
+ *
+ * @return {Function}   A function that accepts a value (and, optionally, what
+ *                      to call that value in the path, which defaults to
+ *                      "payload"). It returns `null` if the value conforms to
+ *                      the schema; otherwise, a plain object with the
+ *                      properties `path` (such as "payload.user.id") and
+ *                      `message` (such as "is required").
+ */
+function compile (schema) {
+  checkSchema(schema, 'schema')
+
+  return (value, root) => {
+    return findViolation(schema, value, root || 'payload')
+  }
+}
+
+module.exports = {
+  compile: compile
+}
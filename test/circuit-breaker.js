@@ -0,0 +1,264 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * The circuit breaker events published on "CIRCUIT", in order.
+   * @type {Array}
+   */
+  let events = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ requestTTL: 100 })
+    bus.addTopic({ name: 'HEALTH', circuitBreaker: { threshold: 2, coolDown: 1000 } })
+    events = []
+
+    bus.listen(bus.topics.CIRCUIT, (event) => {
+      events.push(event)
+    })
+  })
+
+  /**
+   * Makes a request on "HEALTH" that times out, and returns a promise that is
+   * fulfilled once it has been rejected.
+   *
+   * @return {Promise}
+   */
+  function timeOut () {
+    const promise = expect(bus.request(bus.topics.HEALTH, 'status')).to.be.rejectedWith(T.RequestTimeoutError)
+
+    fastClock.tick(100)
+    return promise
+  }
+
+  /**
+   * Makes the circuit breaker on "HEALTH" open.
+   *
+   * @return {Promise}
+   */
+  function trip () {
+    return timeOut().then(timeOut)
+  }
+
+  describe('the "addTopic" method', () => {
+    it('must throw an error if the "circuitBreaker" property is not a plain object', () => {
+      expect(() => {
+        bus.addTopic({ name: 'HEALTH', circuitBreaker: 5 })
+      }).to.throw(T.InvalidArgumentError, 'The "circuitBreaker" property of the descriptor for topic "HEALTH" must be a plain object.')
+    })
+
+    it('must throw an error if any property of "circuitBreaker" is not valid', () => {
+      expect(() => {
+        bus.addTopic({ name: 'HEALTH', circuitBreaker: { threshold: 0 } })
+      }).to.throw(T.InvalidArgumentError, 'The "circuitBreaker.threshold" property of the descriptor for topic "HEALTH" must be a positive integer.')
+
+      expect(() => {
+        bus.addTopic({ name: 'HEALTH', circuitBreaker: { coolDown: -1 } })
+      }).to.throw(T.InvalidArgumentError, 'The "circuitBreaker.coolDown" property of the descriptor for topic "HEALTH" must be a non-negative number.')
+    })
+
+    it('must remove the circuit breaker when "circuitBreaker" is set to null', () => {
+      return trip().then(() => {
+        bus.addTopic({ name: 'HEALTH', circuitBreaker: null })
+
+        return timeOut()
+      })
+    })
+  })
+
+  describe('the "request" method', () => {
+    it('must be rejected right away with a "CircuitOpenError" once the threshold is reached', () => {
+      return trip().then(() => {
+        return expect(bus.request(bus.topics.HEALTH, 'status')).to.be.rejectedWith(T.CircuitOpenError, 'The circuit breaker for topic "HEALTH" is open.')
+      }).then((err) => {
+        expect(err).to.be.an.instanceof(T.TopicoError)
+        expect(err.code).to.equal('ERR_CIRCUIT_OPEN')
+        expect(err.topic).to.equal('HEALTH')
+        expect(err.retryAfterMs).to.equal(1000)
+      })
+    })
+
+    it('must not publish a request while the circuit is open', () => {
+      const queries = []
+
+      return trip().then(() => {
+        bus.listen(bus.topics.HEALTH, (payload) => { queries.push(payload.query) })
+
+        return expect(bus.request(bus.topics.HEALTH, 'status')).to.be.rejected
+      }).then(() => {
+        expect(queries).to.deep.equal([])
+      })
+    })
+
+    it('must only count failures in a row', () => {
+      bus.listen(bus.topics.HEALTH, (payload) => {
+        if (payload.query === 'ping') {
+          bus.respond(payload.trackingNo, 'pong')
+        }
+      })
+
+      return timeOut()
+        .then(() => bus.request(bus.topics.HEALTH, 'ping'))
+        .then(timeOut)
+        .then(() => {
+          expect(events).to.deep.equal([])
+        })
+    })
+
+    it('must not count an error sent by the responder as a failure', () => {
+      bus.handle(bus.topics.HEALTH, () => { throw new Error('unhealthy') })
+
+      return expect(bus.request(bus.topics.HEALTH, 'status')).to.be.rejectedWith('unhealthy')
+        .then(() => expect(bus.request(bus.topics.HEALTH, 'status')).to.be.rejectedWith('unhealthy'))
+        .then(() => expect(bus.request(bus.topics.HEALTH, 'status')).to.be.rejectedWith('unhealthy'))
+    })
+
+    it('must count a request with no listeners as a failure, with the "failFast" option', () => {
+      return expect(bus.request(bus.topics.HEALTH, 'status', { failFast: true })).to.be.rejectedWith(T.NoResponderError)
+        .then(() => expect(bus.request(bus.topics.HEALTH, 'status', { failFast: true })).to.be.rejectedWith(T.NoResponderError))
+        .then(() => expect(bus.request(bus.topics.HEALTH, 'status', { failFast: true })).to.be.rejectedWith(T.CircuitOpenError))
+    })
+
+    it('must let one trial request through after the cool-down', () => {
+      let trackingNo = null
+
+      bus.listen(bus.topics.HEALTH, (payload) => { trackingNo = payload.trackingNo })
+
+      return trip().then(() => {
+        fastClock.tick(1000)
+
+        const trial = bus.request(bus.topics.HEALTH, 'status')
+
+        return expect(bus.request(bus.topics.HEALTH, 'status')).to.be.rejectedWith(T.CircuitOpenError).then((err) => {
+          expect(err.retryAfterMs).to.equal(0)
+
+          bus.respond(trackingNo, 'ok')
+          return trial
+        })
+      }).then(() => {
+        expect(events.map((event) => event.state)).to.deep.equal(['open', 'half-open', 'closed'])
+      })
+    })
+
+    it('must open the circuit again if the trial request fails', () => {
+      return trip().then(() => {
+        fastClock.tick(1000)
+
+        return timeOut()
+      }).then(() => {
+        expect(events.map((event) => event.state)).to.deep.equal(['open', 'half-open', 'open'])
+
+        return expect(bus.request(bus.topics.HEALTH, 'status')).to.be.rejectedWith(T.CircuitOpenError)
+      })
+    })
+
+    it('must let another trial request through if the first one is aborted', () => {
+      const listeners = []
+      const signal = {
+        aborted: false,
+        addEventListener: (type, fn) => { listeners.push(fn) },
+        removeEventListener: () => {}
+      }
+
+      return trip().then(() => {
+        fastClock.tick(1000)
+
+        const trial = bus.request(bus.topics.HEALTH, 'status', { signal: signal })
+
+        listeners.forEach((fn) => { fn() })
+
+        return expect(trial).to.be.rejected
+      }).then(() => {
+        return timeOut()
+      })
+    })
+
+    it('must count each attempt of a request with the "retries" option', () => {
+      const promise = bus.request(bus.topics.HEALTH, 'status', { retries: 5, backoff: { initial: 10 } })
+
+      fastClock.tick(1000)
+
+      return expect(promise).to.be.rejectedWith(T.CircuitOpenError)
+    })
+  })
+
+  describe('the "CIRCUIT" topic', () => {
+    it('must receive a frozen object for each change of state', () => {
+      return trip().then(() => {
+        expect(events).to.deep.equal([{
+          topic: bus.topics.HEALTH,
+          state: 'open',
+          previousState: 'closed',
+          failures: 2
+        }])
+
+        expect(Object.isFrozen(events[0])).to.equal(true)
+      })
+    })
+
+    it('must be used instead of the "INFO" topic', () => {
+      const announcements = []
+
+      bus.addTopic({ name: 'INFO', payload: { type: 'string' } })
+      bus.listen(bus.topics.INFO, (info) => { announcements.push(info) })
+
+      return trip().then(() => {
+        expect(events).to.have.lengthOf(1)
+        expect(announcements).to.deep.equal([])
+      })
+    })
+
+    it('must not be required', () => {
+      bus.removeTopic('CIRCUIT')
+
+      return trip().then(() => {
+        return expect(bus.request(bus.topics.HEALTH, 'status')).to.be.rejectedWith(T.CircuitOpenError)
+      })
+    })
+  })
+
+  describe('the "removeTopic" method', () => {
+    it('must remove the circuit breaker', () => {
+      return trip().then(() => {
+        bus.removeTopic('HEALTH')
+        bus.addTopic({ name: 'HEALTH', circuitBreaker: { threshold: 2, coolDown: 1000 } })
+
+        return timeOut()
+      })
+    })
+  })
+})
@@ -157,7 +157,7 @@ describe('the "topico" module', function () {
 
     describe('the "listenFor" method', () => {
       const ERR_INVALID_TOPIC = 'The "topic" parameter for "listenFor()" is required and must be a value from "topics".'
-      const ERR_INVALID_VALUE = 'The "value" parameter for "listenFor()" is required and must be either a primitive value or an instance of RegExp.'
+      const ERR_INVALID_VALUE = 'The "value" parameter for "listenFor()" is required and must be a primitive value, an instance of RegExp, or a plain object with at least one property.'
       const ERR_INVALID_FUNC = 'The "callback" parameter for "listenFor()" is required and must be a function.'
 
       it('must throw an error if the first parameter is missing', () => {
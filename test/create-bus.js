@@ -0,0 +1,154 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  afterEach(() => {
+    T.cancelAll()
+  })
+
+  it('must have a method called "createBus"', () => {
+    const expected = 'function'
+    const actual = typeof T.createBus
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "createBus" method', () => {
+    it('must return a new instance each time it is called', () => {
+      const first = T.createBus()
+      const second = T.createBus()
+
+      expect(first).to.not.equal(second)
+      expect(first).to.not.equal(T)
+    })
+
+    it('must return an instance with the default topics', () => {
+      const bus = T.createBus()
+
+      expect(bus.topics).to.have.all.keys('INFO', 'ERROR', 'CIRCUIT')
+    })
+
+    it('must add any topics specified in the options', () => {
+      const bus = T.createBus({ topics: ['alpha', 'BETA'] })
+
+      expect(bus.topics).to.have.all.keys('INFO', 'ERROR', 'CIRCUIT', 'ALPHA', 'BETA')
+    })
+
+    it('must use the request TTL specified in the options', () => {
+      const bus = T.createBus({ requestTTL: 50 })
+
+      expect(bus.requestTTL).to.equal(50)
+    })
+
+    it('must throw an error if the request TTL in the options is not numeric', () => {
+      expect(() => {
+        T.createBus({ requestTTL: 'never' })
+      }).to.throw('The new value for "requestTTL" must be numeric.')
+    })
+
+    it('must throw an error if the request TTL in the options is too large for a timer', () => {
+      expect(() => {
+        T.createBus({ requestTTL: Infinity })
+      }).to.throw(T.InvalidArgumentError, 'The new value for "requestTTL" must be a non-negative number no larger than 2147483647.')
+    })
+
+    describe('the returned instance', () => {
+      it('must not share topics with the default instance', () => {
+        const bus = T.createBus()
+
+        bus.addTopic('ONLY_ON_THE_NEW_BUS')
+
+        expect(bus.topics).to.have.property('ONLY_ON_THE_NEW_BUS')
+        expect(T.topics).to.not.have.property('ONLY_ON_THE_NEW_BUS')
+      })
+
+      it('must not accept topics from another instance', () => {
+        const bus = T.createBus({ topics: 'SEPARATE' })
+        const other = T.createBus()
+
+        expect(() => {
+          other.say(bus.topics.SEPARATE)
+        }).to.throw(TypeError, 'The "topic" parameter for "say()" is required and must be a value from "topics".')
+      })
+
+      it('must not share the request TTL with the default instance', () => {
+        const defaultValue = T.requestTTL
+        const bus = T.createBus()
+
+        bus.requestTTL = 1
+
+        expect(T.requestTTL).to.equal(defaultValue)
+      })
+
+      it('must not share listeners with the default instance', (done) => {
+        const bus = T.createBus()
+        const actual = []
+
+        T.listen(T.topics.INFO, (data) => { actual.push(`default:${data}`) })
+        bus.listen(bus.topics.INFO, (data) => { actual.push(`bus:${data}`) })
+
+        bus.say(bus.topics.INFO, 'hello')
+        bus.cancelAll()
+        T.say(T.topics.INFO, 'world')
+
+        global.setTimeout(() => {
+          try {
+            expect(actual).to.deep.equal(['bus:hello', 'default:world'])
+            done()
+          } catch (e) {
+            done(e)
+          }
+        }, 10)
+      })
+
+      describe('its pending requests', () => {
+        /**
+         * Instead of waiting for all of the timeouts to pass in real-time, the
+         * fake clock allows us to "fast-forward" as needed.
+         * @type {Object}
+         */
+        let fastClock = null
+
+        before(() => {
+          fastClock = fakeTimers.install()
+        })
+
+        after(() => {
+          fastClock.uninstall()
+        })
+
+        it('must not be fulfilled by a response on another instance', (done) => {
+          const bus = T.createBus({ requestTTL: 100 })
+
+          bus.listenOnce(bus.topics.INFO, (payload) => {
+            T.respond(payload.trackingNo, 'wrong instance')
+          })
+
+          bus.request(bus.topics.INFO, 'hello')
+            .then(() => {
+              done(new Error('The promise was not rejected.'))
+            })
+            .catch(() => {
+              done()
+            })
+
+          fastClock.runToLast()
+        })
+      })
+    })
+  })
+})
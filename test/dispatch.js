@@ -0,0 +1,251 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ requestTTL: 1000 })
+  })
+
+  /**
+   * Makes the given number of requests on the given topic, one after another,
+   * and returns a promise for the list of answers.
+   *
+   * @param  {Symbol}   topic   The topic to request.
+   *
+   * @param  {Number}   count   The number of requests to make.
+   *
+   * @return {Promise}
+   */
+  function requestSeveral (topic, count) {
+    const answers = []
+    let chain = Promise.resolve()
+
+    for (let i = 0; i < count; i++) {
+      chain = chain
+        .then(() => bus.request(topic, i))
+        .then((answer) => { answers.push(answer) })
+    }
+
+    return chain.then(() => answers)
+  }
+
+  describe('the "addTopic" method', () => {
+    it('must throw an error if the "dispatch" property is not a known strategy', () => {
+      expect(() => {
+        bus.addTopic({ name: 'JOBS', dispatch: 'fastest' })
+      }).to.throw(T.InvalidArgumentError, 'The "dispatch" property of the descriptor for topic "JOBS" must be one of "round-robin", "least-in-flight", or "random".')
+    })
+
+    it('must allow the "dispatch" property to be removed by setting it to null', () => {
+      bus.addTopic({ name: 'JOBS', dispatch: 'round-robin' })
+      bus.addTopic({ name: 'JOBS', dispatch: null })
+
+      bus.handle(bus.topics.JOBS, () => 'first')
+      bus.handle(bus.topics.JOBS, () => 'second')
+
+      return bus.requestAll(bus.topics.JOBS, 'query', { max: 2 }).then((actual) => {
+        expect(actual.map((entry) => entry.value)).to.deep.equal(['first', 'second'])
+      })
+    })
+  })
+
+  describe('the "round-robin" strategy', () => {
+    beforeEach(() => {
+      bus.addTopic({ name: 'JOBS', dispatch: 'round-robin' })
+    })
+
+    it('must send each request to only one handler', () => {
+      const calls = []
+
+      bus.handle(bus.topics.JOBS, () => { calls.push('first'); return 'first' })
+      bus.handle(bus.topics.JOBS, () => { calls.push('second'); return 'second' })
+
+      const promise = bus.requestAll(bus.topics.JOBS, 'query', { timeout: 100 })
+
+      return fastClock.tickAsync(100).then(() => promise).then((actual) => {
+        expect(actual.map((entry) => entry.value)).to.deep.equal(['first'])
+        expect(calls).to.deep.equal(['first'])
+      })
+    })
+
+    it('must take turns between the handlers', () => {
+      bus.handle(bus.topics.JOBS, () => 'first')
+      bus.handle(bus.topics.JOBS, () => 'second')
+      bus.handle(bus.topics.JOBS, () => 'third')
+
+      return expect(requestSeveral(bus.topics.JOBS, 4)).to.eventually.deep.equal(['first', 'second', 'third', 'first'])
+    })
+
+    it('must not send requests to a handler that has been removed', () => {
+      bus.handle(bus.topics.JOBS, () => 'first')
+      bus.handle(bus.topics.JOBS, () => 'second').unsubscribe()
+
+      return expect(requestSeveral(bus.topics.JOBS, 2)).to.eventually.deep.equal(['first', 'first'])
+    })
+
+    it('must still send every request to ordinary listeners', () => {
+      const queries = []
+
+      bus.listen(bus.topics.JOBS, (payload) => { queries.push(payload.query) })
+      bus.handle(bus.topics.JOBS, () => 'first')
+      bus.handle(bus.topics.JOBS, () => 'second')
+
+      return requestSeveral(bus.topics.JOBS, 2).then(() => {
+        expect(queries).to.deep.equal([0, 1])
+      })
+    })
+
+    it('must fall over to the next handler if the chosen one throws an error synchronously', () => {
+      bus.handle(bus.topics.JOBS, () => { throw new Error('worker is down') })
+      bus.handle(bus.topics.JOBS, () => 'second')
+
+      return expect(bus.request(bus.topics.JOBS, 'query')).to.eventually.equal('second')
+    })
+
+    it('must reject the request with the last error if every handler throws an error synchronously', () => {
+      const error = new Error('second worker is down')
+
+      bus.handle(bus.topics.JOBS, () => { throw new Error('first worker is down') })
+      bus.handle(bus.topics.JOBS, () => { throw error })
+
+      return expect(bus.request(bus.topics.JOBS, 'query')).to.be.rejectedWith(error)
+    })
+
+    it('must not fall over to the next handler if the promise returned by the chosen one is rejected', () => {
+      const error = new Error('worker failed')
+      const calls = []
+
+      bus.handle(bus.topics.JOBS, async () => { calls.push('first'); throw error })
+      bus.handle(bus.topics.JOBS, () => { calls.push('second'); return 'second' })
+
+      return expect(bus.request(bus.topics.JOBS, 'query')).to.be.rejectedWith(error).then(() => {
+        expect(calls).to.deep.equal(['first'])
+      })
+    })
+
+    it('must reject the request if there are no handlers, and the "failFast" option is used', () => {
+      return expect(bus.request(bus.topics.JOBS, 'query', { failFast: true })).to.be.rejectedWith(T.NoResponderError)
+    })
+  })
+
+  describe('the "least-in-flight" strategy', () => {
+    beforeEach(() => {
+      bus.addTopic({ name: 'JOBS', dispatch: 'least-in-flight' })
+    })
+
+    it('must send each request to the handler with the fewest requests in progress', () => {
+      const calls = []
+
+      bus.handle(bus.topics.JOBS, () => {
+        calls.push('slow')
+        return new Promise((resolve) => { global.setTimeout(() => { resolve('slow') }, 500) })
+      })
+
+      bus.handle(bus.topics.JOBS, () => {
+        calls.push('fast')
+        return new Promise((resolve) => { global.setTimeout(() => { resolve('fast') }, 10) })
+      })
+
+      const first = bus.request(bus.topics.JOBS, 1)
+      const second = bus.request(bus.topics.JOBS, 2)
+
+      return fastClock.tickAsync(10)
+        .then(() => {
+          const third = bus.request(bus.topics.JOBS, 3)
+
+          return fastClock.tickAsync(500).then(() => Promise.all([first, second, third]))
+        })
+        .then((answers) => {
+          expect(answers).to.deep.equal(['slow', 'fast', 'fast'])
+          expect(calls).to.deep.equal(['slow', 'fast', 'fast'])
+        })
+    })
+
+    it('must count a request as finished when the handler fails', () => {
+      bus.handle(bus.topics.JOBS, async (query) => {
+        if (query === 'fail') {
+          throw new Error('worker failed')
+        }
+
+        return 'first'
+      })
+
+      bus.handle(bus.topics.JOBS, () => 'second')
+
+      return expect(bus.request(bus.topics.JOBS, 'fail')).to.be.rejected.then(() => {
+        return expect(bus.request(bus.topics.JOBS, 'query')).to.eventually.equal('first')
+      })
+    })
+  })
+
+  describe('the "random" strategy', () => {
+    /**
+     * The original implementation of `Math.random`.
+     * @type {Function}
+     */
+    let random = null
+
+    beforeEach(() => {
+      random = Math.random
+      bus.addTopic({ name: 'JOBS', dispatch: 'random' })
+    })
+
+    afterEach(() => {
+      Math.random = random
+    })
+
+    it('must send each request to a randomly chosen handler', () => {
+      const choices = [0.9, 0.1]
+
+      Math.random = () => choices.shift()
+
+      bus.handle(bus.topics.JOBS, () => 'first')
+      bus.handle(bus.topics.JOBS, () => 'second')
+
+      return expect(requestSeveral(bus.topics.JOBS, 2)).to.eventually.deep.equal(['second', 'first'])
+    })
+
+    it('must fall over to the other handlers if the chosen one throws an error synchronously', () => {
+      Math.random = () => 0.9
+
+      bus.handle(bus.topics.JOBS, () => 'first')
+      bus.handle(bus.topics.JOBS, () => { throw new Error('worker is down') })
+
+      return expect(bus.request(bus.topics.JOBS, 'query')).to.eventually.equal('first')
+    })
+  })
+})
@@ -0,0 +1,242 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: 'USER_DATA', requestTTL: 1000 })
+  })
+
+  it('must export each of the error classes', () => {
+    ['TopicoError', 'InvalidArgumentError', 'InvalidTopicError', 'RequestTimeoutError', 'UnknownTrackingNumberError', 'NoResponderError'].forEach((name) => {
+      expect(T[name]).to.be.a('function')
+      expect(T[name].name).to.equal(name)
+    })
+  })
+
+  describe('the "TopicoError" class', () => {
+    it('must have a default code', () => {
+      const err = new T.TopicoError('something went wrong')
+
+      expect(err.name).to.equal('TopicoError')
+      expect(err.code).to.equal('ERR_TOPICO')
+      expect(err.message).to.equal('something went wrong')
+    })
+
+    it('must recognize every error class from this module as an instance', () => {
+      const instances = [
+        new T.InvalidArgumentError('message'),
+        new T.InvalidTopicError('message', 'TOPIC'),
+        new T.RequestTimeoutError('TOPIC', 'abc', null, 0),
+        new T.UnknownTrackingNumberError('abc'),
+        new T.NoResponderError('TOPIC', 'abc')
+      ]
+
+      instances.forEach((err) => {
+        expect(err).to.be.an.instanceof(T.TopicoError)
+        expect(err).to.be.an.instanceof(Error)
+      })
+    })
+
+    it('must not recognize other values as instances', () => {
+      [new Error('message'), new TypeError('message'), null, 'message'].forEach((value) => {
+        expect(value instanceof T.TopicoError).to.equal(false)
+      })
+    })
+
+    it('must not change how "instanceof" works for the subclasses', () => {
+      expect(new T.NoResponderError('TOPIC', 'abc')).to.not.be.an.instanceof(T.RequestTimeoutError)
+      expect(new T.InvalidArgumentError('message')).to.not.be.an.instanceof(T.InvalidTopicError)
+    })
+  })
+
+  describe('the "InvalidArgumentError" class', () => {
+    it('must also be an instance of "TypeError"', () => {
+      expect(new T.InvalidArgumentError('message')).to.be.an.instanceof(TypeError)
+      expect(new T.InvalidTopicError('message', 'TOPIC')).to.be.an.instanceof(TypeError)
+    })
+
+    it('must be thrown for a parameter that is not valid', () => {
+      expect(() => {
+        bus.listen(bus.topics.USER_DATA, 'not a function')
+      }).to.throw(T.InvalidArgumentError).with.property('code', 'ERR_INVALID_ARGUMENT')
+    })
+
+    it('must be thrown for a payload that does not pass the validator', () => {
+      bus.addTopic({ name: 'LOGIN', payload: { type: 'string' } })
+
+      expect(() => {
+        bus.say(bus.topics.LOGIN, 42)
+      }).to.throw(T.InvalidArgumentError).with.property('code', 'ERR_INVALID_ARGUMENT')
+    })
+
+    it('must be thrown for a schema that is not supported', () => {
+      expect(() => {
+        bus.addTopic({ name: 'LOGIN', payload: { format: 'email' } })
+      }).to.throw(T.InvalidArgumentError).with.property('code', 'ERR_INVALID_ARGUMENT')
+    })
+
+    it('must be thrown for a new value of "requestTTL" that is not numeric', () => {
+      expect(() => {
+        bus.requestTTL = 'soon'
+      }).to.throw(T.InvalidArgumentError)
+    })
+  })
+
+  describe('the "InvalidTopicError" class', () => {
+    it('must be thrown for a topic that is not a member of ".topics"', () => {
+      const topic = Symbol('USER_DATA')
+
+      expect(() => {
+        bus.say(topic, 'hello')
+      }).to.throw(T.InvalidTopicError).that.satisfies((err) => {
+        return (err.code === 'ERR_INVALID_TOPIC' && err.topic === topic)
+      })
+    })
+
+    it('must be thrown for a topic name that is not valid', () => {
+      expect(() => {
+        bus.addTopic('USER.*')
+      }).to.throw(T.InvalidTopicError).with.property('topic', 'USER.*')
+    })
+
+    it('must be thrown for a topic name that conflicts with an existing topic', () => {
+      expect(() => {
+        bus.addTopic('USER_DATA.PROFILE')
+      }).to.throw(T.InvalidTopicError).with.property('topic', 'USER_DATA.PROFILE')
+    })
+
+    it('must be used to reject a request for a topic that is not a member of ".topics"', () => {
+      return expect(bus.request('USER_DATA')).to.be.rejectedWith(T.InvalidTopicError)
+    })
+  })
+
+  describe('the "RequestTimeoutError" class', () => {
+    it('must be used to reject a request that times out', () => {
+      let trackingNo = null
+
+      bus.listen(bus.topics.USER_DATA, (payload) => {
+        trackingNo = payload.trackingNo
+      })
+
+      const promise = bus.request(bus.topics.USER_DATA, { id: 42 }, { timeout: 250 })
+
+      fastClock.tick(250)
+
+      return expect(promise).to.be.rejectedWith(T.RequestTimeoutError, 'No response received within the required time limit.').then((err) => {
+        expect(err.code).to.equal('ERR_REQUEST_TIMEOUT')
+        expect(err.topic).to.equal('USER_DATA')
+        expect(err.trackingNo).to.equal(trackingNo)
+        expect(err.query).to.deep.equal({ id: 42 })
+        expect(err.elapsedMs).to.equal(250)
+      })
+    })
+
+    it('must be used to fail a streaming request that times out', () => {
+      const stream = bus.requestStream(bus.topics.USER_DATA, 'query', { timeout: 250 })
+      const promise = stream.next()
+
+      fastClock.tick(250)
+
+      return expect(promise).to.be.rejectedWith(T.RequestTimeoutError)
+    })
+  })
+
+  describe('the "UnknownTrackingNumberError" class', () => {
+    it('must be thrown in strict mode when responding to a request that is not pending', () => {
+      const strict = T.createBus({ strict: true })
+
+      expect(() => {
+        strict.respond('abc', 'answer')
+      }).to.throw(T.UnknownTrackingNumberError, 'The tracking number "abc" does not belong to a pending request.').with.property('trackingNo', 'abc')
+
+      expect(() => {
+        strict.respond.next('abc', 'chunk')
+      }).to.throw(T.UnknownTrackingNumberError).with.property('code', 'ERR_UNKNOWN_TRACKING_NUMBER')
+
+      expect(() => {
+        strict.respond.end('abc')
+      }).to.throw(T.UnknownTrackingNumberError)
+
+      expect(() => {
+        strict.respondError('abc', new Error('message'))
+      }).to.throw(T.UnknownTrackingNumberError)
+    })
+
+    it('must not be thrown when not in strict mode', () => {
+      expect(() => {
+        bus.respond('abc', 'answer')
+      }).to.not.throw()
+    })
+  })
+
+  describe('the "NoResponderError" class', () => {
+    it('must have a stable code', () => {
+      const err = new T.NoResponderError('TOPIC', 'abc')
+
+      expect(err.name).to.equal('NoResponderError')
+      expect(err.code).to.equal('ERR_NO_RESPONDER')
+    })
+  })
+
+  describe('the "removeTopic" method', () => {
+    it('must reject a pending request with a "TopicoError"', () => {
+      const promise = bus.request(bus.topics.USER_DATA, 'query')
+
+      bus.removeTopic('USER_DATA')
+
+      return expect(promise).to.be.rejectedWith(T.TopicoError).then((err) => {
+        expect(err.code).to.equal('ERR_TOPIC_REMOVED')
+        expect(err.topic).to.equal('USER_DATA')
+        expect(err.trackingNo).to.be.a('string')
+      })
+    })
+  })
+
+  describe('the "sealTopics" method', () => {
+    it('must cause "addTopic" and "removeTopic" to throw a "TopicoError"', () => {
+      bus.sealTopics()
+
+      expect(() => {
+        bus.addTopic('OTHER')
+      }).to.throw(T.TopicoError).with.property('code', 'ERR_TOPICS_SEALED')
+
+      expect(() => {
+        bus.removeTopic('USER_DATA')
+      }).to.throw(T.TopicoError).with.property('code', 'ERR_TOPICS_SEALED')
+    })
+  })
+})
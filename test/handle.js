@@ -0,0 +1,189 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: 'USER_DATA', requestTTL: 1000 })
+  })
+
+  it('must have a method called "handle"', () => {
+    const expected = 'function'
+    const actual = typeof bus.handle
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "handle" method', () => {
+    it('must throw an error if the first parameter is not a member of ".topics"', () => {
+      expect(() => {
+        bus.handle('USER_DATA', () => {})
+      }).to.throw(T.InvalidTopicError, 'The "topic" parameter for "handle()" is required and must be a value from "topics".')
+    })
+
+    it('must throw an error if the second parameter is not a function', () => {
+      expect(() => {
+        bus.handle(bus.topics.USER_DATA, 'respond')
+      }).to.throw(T.InvalidArgumentError, 'The "handler" parameter for "handle()" is required and must be a function.')
+    })
+
+    it('must respond with the value returned by the handler', () => {
+      bus.handle(bus.topics.USER_DATA, (query) => `hello, ${query.name}`)
+
+      return expect(bus.request(bus.topics.USER_DATA, { name: 'Alice' })).to.eventually.equal('hello, Alice')
+    })
+
+    it('must respond with the value that the promise returned by the handler is resolved with', () => {
+      bus.handle(bus.topics.USER_DATA, async (query) => query * 2)
+
+      return expect(bus.request(bus.topics.USER_DATA, 21)).to.eventually.equal(42)
+    })
+
+    it('must pass the topic and tracking number to the handler', () => {
+      let context = null
+
+      bus.handle(bus.topics.USER_DATA, (query, ctx) => {
+        context = ctx
+        return 'answer'
+      })
+
+      return bus.request(bus.topics.USER_DATA, 'query').then(() => {
+        expect(context.topic).to.equal(bus.topics.USER_DATA)
+        expect(context.trackingNo).to.be.a('string')
+        expect(Object.isFrozen(context)).to.equal(true)
+      })
+    })
+
+    it('must reject the request with the error thrown by the handler', () => {
+      const error = new Error('database unavailable')
+
+      bus.handle(bus.topics.USER_DATA, () => { throw error })
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query')).to.be.rejectedWith(error).then((err) => {
+        expect(err.topic).to.equal('USER_DATA')
+      })
+    })
+
+    it('must reject the request if the promise returned by the handler is rejected', () => {
+      const error = new Error('database unavailable')
+
+      bus.handle(bus.topics.USER_DATA, async () => { throw error })
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query')).to.be.rejectedWith(error)
+    })
+
+    it('must reject the request if the returned value does not pass the "response" validator', () => {
+      bus.addTopic({ name: 'LOOKUP', response: { type: 'string' } })
+      bus.handle(bus.topics.LOOKUP, () => 42)
+
+      return expect(bus.request(bus.topics.LOOKUP, 'query')).to.be.rejectedWith(T.InvalidArgumentError, 'The response for topic "LOOKUP" is not valid: "response" must be of type string.')
+    })
+
+    it('must not be called for anything published with "say"', () => {
+      const queries = []
+
+      bus.handle(bus.topics.USER_DATA, (query) => { queries.push(query) })
+      bus.say(bus.topics.USER_DATA, { trackingNo: 'abc', query: 'lookalike' })
+
+      return Promise.resolve().then(() => {
+        expect(queries).to.deep.equal([])
+      })
+    })
+
+    it('must still let ordinary listeners receive requests', () => {
+      const payloads = []
+
+      bus.listen(bus.topics.USER_DATA, (payload) => { payloads.push(payload) })
+      bus.handle(bus.topics.USER_DATA, () => 'answer')
+
+      return bus.request(bus.topics.USER_DATA, 'query').then(() => {
+        expect(payloads.map((payload) => payload.query)).to.deep.equal(['query'])
+      })
+    })
+
+    it('must count as a listener for the "failFast" option', () => {
+      bus.handle(bus.topics.USER_DATA, () => 'answer')
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query', { failFast: true })).to.eventually.equal('answer')
+    })
+
+    it('must work with "requestAll"', () => {
+      bus.handle(bus.topics.USER_DATA, () => 'first')
+      bus.handle(bus.topics.USER_DATA, () => 'second')
+
+      const promise = bus.requestAll(bus.topics.USER_DATA, 'query', { max: 2 })
+
+      return promise.then((actual) => {
+        expect(actual.map((entry) => entry.value)).to.deep.equal(['first', 'second'])
+      })
+    })
+
+    it('must republish an error on the "ERROR" topic if the request is no longer pending', () => {
+      const error = new Error('too slow')
+      const reported = []
+
+      bus.listen(bus.topics.ERROR, (envelope) => { reported.push(envelope.error) })
+      bus.handle(bus.topics.USER_DATA, () => new Promise((resolve, reject) => {
+        global.setTimeout(() => { reject(error) }, 2000)
+      }))
+
+      const rejected = expect(bus.request(bus.topics.USER_DATA, 'query')).to.be.rejectedWith(T.RequestTimeoutError)
+
+      return fastClock.tickAsync(2000)
+        .then(() => rejected)
+        .then(() => {
+          expect(reported).to.deep.equal([error])
+        })
+    })
+
+    it('must return an object that removes the handler', () => {
+      const subscription = bus.handle(bus.topics.USER_DATA, () => 'answer')
+
+      subscription.unsubscribe()
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query', { failFast: true })).to.be.rejectedWith(T.NoResponderError)
+    })
+
+    it('must allow the handler to be removed with "unlisten"', () => {
+      const handler = () => 'answer'
+
+      bus.handle(bus.topics.USER_DATA, handler)
+      bus.unlisten(bus.topics.USER_DATA, handler)
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query', { failFast: true })).to.be.rejectedWith(T.NoResponderError)
+    })
+  })
+})
@@ -0,0 +1,310 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+/**
+ * Calls `done` after the current round of asynchronous activity has finished,
+ * once `assertions` has run without throwing.
+ *
+ * @param  {Function}   done         The callback provided by mocha.
+ *
+ * @param  {Function}   assertions   The function containing the assertions.
+ *
+ * @return {undefined}
+ */
+function verifyLater (done, assertions) {
+  global.setTimeout(() => {
+    try {
+      assertions()
+      done()
+    } catch (e) {
+      done(e)
+    }
+  }, 10)
+}
+
+describe('the "topico" module', function () {
+  /**
+   * Each test gets a fresh instance, since topics cannot be removed once added.
+   * @type {Object}
+   */
+  let bus = null
+
+  beforeEach(() => {
+    bus = T.createBus()
+  })
+
+  describe('the "addTopic" method, with hierarchical names', () => {
+    it('must represent each level as a nested object', () => {
+      bus.addTopic(['user.login', 'USER.LOGOUT', 'user.profile.update'])
+
+      expect(bus.topics.USER).to.have.all.keys('LOGIN', 'LOGOUT', 'PROFILE')
+      expect(bus.topics.USER.LOGIN).to.be.a('symbol')
+      expect(bus.topics.USER.PROFILE.UPDATE).to.be.a('symbol')
+    })
+
+    it('must freeze each nested object', () => {
+      bus.addTopic('USER.LOGIN')
+
+      expect(Object.isFrozen(bus.topics.USER)).to.equal(true)
+    })
+
+    it('must not alter the original Symbol values after being called', () => {
+      bus.addTopic('USER.LOGIN')
+
+      const expected = bus.topics.USER.LOGIN
+
+      bus.addTopic('USER.LOGOUT')
+
+      expect(bus.topics.USER.LOGIN).to.equal(expected)
+    })
+
+    it('must throw an error if any level of the name is empty', () => {
+      ['USER.', '.USER', 'USER..LOGIN'].forEach((name) => {
+        expect(() => {
+          bus.addTopic(name)
+        }).to.throw(`The topic name "${name}" is not valid.`)
+      })
+    })
+
+    it('must throw an error if any level of the name is a wildcard', () => {
+      ['USER.*', '#'].forEach((name) => {
+        expect(() => {
+          bus.addTopic(name)
+        }).to.throw(`The topic name "${name}" is not valid.`)
+      })
+    })
+
+    it('must throw an error if the name is already used as the parent of another topic', () => {
+      bus.addTopic('USER.LOGIN')
+
+      expect(() => {
+        bus.addTopic('USER')
+      }).to.throw('The topic "USER" cannot be added, because it conflicts with the existing topic "USER.LOGIN".')
+    })
+
+    it('must throw an error if the parent of the name is already a topic', () => {
+      expect(() => {
+        bus.addTopic('INFO.DETAIL')
+      }).to.throw('The topic "INFO.DETAIL" cannot be added, because it conflicts with the existing topic "INFO".')
+    })
+
+    it('must not add any of the names if one of them is invalid', () => {
+      expect(() => {
+        bus.addTopic(['VALID', 'IN..VALID'])
+      }).to.throw()
+
+      expect(bus.topics).to.not.have.property('VALID')
+    })
+
+    it('must allow data to be published on a nested topic', (done) => {
+      bus.addTopic('USER.LOGIN')
+      bus.listenOnce(bus.topics.USER.LOGIN, (data) => {
+        try {
+          expect(data).to.equal('hello')
+          done()
+        } catch (e) {
+          done(e)
+        }
+      })
+
+      bus.say(bus.topics.USER.LOGIN, 'hello')
+    })
+
+    it('must report an error thrown by a listener on a nested topic with the original Symbol', (done) => {
+      const error = new Error('listener failed')
+      const reported = []
+
+      bus.addTopic('USER.LOGIN')
+      bus.listen(bus.topics.ERROR, (envelope) => { reported.push(envelope) })
+      bus.listen(bus.topics.USER.LOGIN, () => { throw error })
+      bus.say(bus.topics.USER.LOGIN, 'hello')
+
+      verifyLater(done, () => {
+        expect(reported).to.have.lengthOf(1)
+        expect(reported[0].topic).to.equal(bus.topics.USER.LOGIN)
+        expect(reported[0].error).to.equal(error)
+      })
+    })
+
+    it('must not allow data to be published on an intermediate level', () => {
+      bus.addTopic('USER.LOGIN')
+
+      expect(() => {
+        bus.say(bus.topics.USER, 'hello')
+      }).to.throw(TypeError, 'The "topic" parameter for "say()" is required and must be a value from "topics".')
+    })
+  })
+
+  it('must have a method called "listenPattern"', () => {
+    const expected = 'function'
+    const actual = typeof bus.listenPattern
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "listenPattern" method', () => {
+    const ERR_INVALID_PATTERN = 'The "pattern" parameter for "listenPattern()" is required and must be a string of one or more dot-separated topic names or wildcards.'
+    const ERR_INVALID_FUNC = 'The "callback" parameter for "listenPattern()" is required and must be a function.'
+
+    it('must throw an error if the first parameter is missing', () => {
+      expect(() => {
+        bus.listenPattern()
+      }).to.throw(TypeError, ERR_INVALID_PATTERN)
+    })
+
+    it('must throw an error if the first parameter is not a string', () => {
+      expect(() => {
+        bus.listenPattern(bus.topics.INFO)
+      }).to.throw(TypeError, ERR_INVALID_PATTERN)
+    })
+
+    it('must throw an error if any level of the first parameter is empty', () => {
+      expect(() => {
+        bus.listenPattern('USER..*')
+      }).to.throw(TypeError, ERR_INVALID_PATTERN)
+    })
+
+    it('must throw an error if the second parameter is not a function', () => {
+      expect(() => {
+        bus.listenPattern('USER.*', 'callback')
+      }).to.throw(TypeError, ERR_INVALID_FUNC)
+    })
+
+    describe('its behavior', () => {
+      beforeEach(() => {
+        bus.addTopic(['USER.LOGIN', 'USER.LOGOUT', 'USER.PROFILE.UPDATE', 'ORDER.PLACED'])
+      })
+
+      it('must match exactly one level with "*"', (done) => {
+        const actual = []
+
+        bus.listenPattern('user.*', (data) => { actual.push(data) })
+
+        bus.say(bus.topics.USER.LOGIN, 'login')
+        bus.say(bus.topics.USER.LOGOUT, 'logout')
+        bus.say(bus.topics.USER.PROFILE.UPDATE, 'update')
+        bus.say(bus.topics.ORDER.PLACED, 'placed')
+
+        verifyLater(done, () => {
+          expect(actual).to.deep.equal(['login', 'logout'])
+        })
+      })
+
+      it('must match any number of levels with "#"', (done) => {
+        const actual = []
+
+        bus.listenPattern('USER.#', (data) => { actual.push(data) })
+
+        bus.say(bus.topics.USER.LOGIN, 'login')
+        bus.say(bus.topics.USER.PROFILE.UPDATE, 'update')
+        bus.say(bus.topics.ORDER.PLACED, 'placed')
+
+        verifyLater(done, () => {
+          expect(actual).to.deep.equal(['login', 'update'])
+        })
+      })
+
+      it('must match wildcards in any position', (done) => {
+        const actual = []
+
+        bus.listenPattern('#.UPDATE', (data) => { actual.push(data) })
+        bus.listenPattern('*.PLACED', (data) => { actual.push(data) })
+
+        bus.say(bus.topics.USER.PROFILE.UPDATE, 'update')
+        bus.say(bus.topics.ORDER.PLACED, 'placed')
+        bus.say(bus.topics.INFO, 'info')
+
+        verifyLater(done, () => {
+          expect(actual).to.deep.equal(['update', 'placed'])
+        })
+      })
+
+      it('must pass the topic as the second parameter to the callback', (done) => {
+        const actual = []
+
+        bus.listenPattern('USER.*', (data, topic) => { actual.push(topic) })
+
+        bus.say(bus.topics.USER.LOGOUT)
+
+        verifyLater(done, () => {
+          expect(actual).to.deep.equal([bus.topics.USER.LOGOUT])
+        })
+      })
+
+      it('must include matching topics that are added later on', (done) => {
+        const actual = []
+
+        bus.listenPattern('USER.*', (data) => { actual.push(data) })
+
+        bus.addTopic('USER.DELETE')
+        bus.say(bus.topics.USER.DELETE, 'delete')
+
+        verifyLater(done, () => {
+          expect(actual).to.deep.equal(['delete'])
+        })
+      })
+
+      it('must remove the subscription from every topic when "unsubscribe" is called', (done) => {
+        const actual = []
+
+        const handle = bus.listenPattern('USER.*', (data) => { actual.push(data) })
+
+        handle.unsubscribe()
+        bus.addTopic('USER.DELETE')
+
+        bus.say(bus.topics.USER.LOGIN, 'login')
+        bus.say(bus.topics.USER.DELETE, 'delete')
+
+        verifyLater(done, () => {
+          expect(actual).to.deep.equal([])
+        })
+      })
+
+      it('must not be applied to topics added after "cancelAll" is called', (done) => {
+        const actual = []
+
+        const handle = bus.listenPattern('USER.*', (data) => { actual.push(data) })
+        const other = bus.listenPattern('ORDER.*', (data) => { actual.push(data) })
+
+        bus.cancelAll()
+        handle.unsubscribe()
+        bus.addTopic(['USER.DELETE', 'ORDER.SHIPPED'])
+
+        bus.say(bus.topics.USER.DELETE, 'delete')
+        bus.say(bus.topics.ORDER.SHIPPED, 'shipped')
+        other.unsubscribe()
+
+        verifyLater(done, () => {
+          expect(actual).to.deep.equal([])
+        })
+      })
+
+      it('must allow a single topic to be removed with "unlisten"', (done) => {
+        const actual = []
+        const callback = (data) => { actual.push(data) }
+
+        bus.listenPattern('USER.*', callback)
+        bus.unlisten(bus.topics.USER.LOGIN, callback)
+
+        bus.say(bus.topics.USER.LOGIN, 'login')
+        bus.say(bus.topics.USER.LOGOUT, 'logout')
+
+        verifyLater(done, () => {
+          expect(actual).to.deep.equal(['logout'])
+        })
+      })
+    })
+  })
+})
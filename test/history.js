@@ -0,0 +1,273 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: [{ name: 'AUDIT', history: { size: 3 } }, 'CLICKS'] })
+  })
+
+  /**
+   * Returns a promise that is fulfilled after any history has been replayed.
+   *
+   * @return {Promise}
+   */
+  function replayed () {
+    return new Promise((resolve) => { process.nextTick(resolve) })
+  }
+
+  it('must have a method called "history"', () => {
+    const expected = 'function'
+    const actual = typeof bus.history
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "addTopic" method', () => {
+    it('must throw an error if the "history" property is not valid', () => {
+      [10, {}, { size: 0 }, { size: 1.5 }, { maxAge: -1 }].forEach((history) => {
+        expect(() => {
+          bus.addTopic({ name: 'LOG', history: history })
+        }).to.throw(T.InvalidArgumentError, 'The "history" property of the descriptor for topic "LOG" must be a plain object with a positive integer "size", a non-negative "maxAge", or both.')
+      })
+    })
+
+    it('must forget the history when "history" is set to null', () => {
+      bus.say(bus.topics.AUDIT, 'login')
+      bus.addTopic({ name: 'AUDIT', history: null })
+
+      expect(bus.history(bus.topics.AUDIT)).to.deep.equal([])
+    })
+
+    it('must apply a smaller "size" to the existing history', () => {
+      bus.say(bus.topics.AUDIT, 'login')
+      bus.say(bus.topics.AUDIT, 'logout')
+      bus.addTopic({ name: 'AUDIT', history: { size: 1 } })
+
+      expect(bus.history(bus.topics.AUDIT).map((entry) => entry.payload)).to.deep.equal(['logout'])
+    })
+  })
+
+  describe('the "history" method', () => {
+    it('must throw an error if the first parameter is not a member of ".topics"', () => {
+      expect(() => {
+        bus.history('AUDIT')
+      }).to.throw(T.InvalidTopicError, 'The "topic" parameter for "history()" is required and must be a value from "topics".')
+    })
+
+    it('must return the payloads published with "say", oldest first, with timestamps', () => {
+      const start = Date.now()
+
+      bus.say(bus.topics.AUDIT, 'login')
+      fastClock.tick(10)
+      bus.say(bus.topics.AUDIT, { action: 'update' })
+
+      const actual = bus.history(bus.topics.AUDIT)
+
+      expect(actual).to.deep.equal([
+        { payload: 'login', timestamp: start },
+        { payload: { action: 'update' }, timestamp: start + 10 }
+      ])
+
+      expect(actual.every((entry) => Object.isFrozen(entry))).to.equal(true)
+    })
+
+    it('must only keep the most recent payloads, according to the "size"', () => {
+      ['a', 'b', 'c', 'd', 'e'].forEach((payload) => {
+        bus.say(bus.topics.AUDIT, payload)
+      })
+
+      expect(bus.history(bus.topics.AUDIT).map((entry) => entry.payload)).to.deep.equal(['c', 'd', 'e'])
+    })
+
+    it('must drop payloads that are older than the "maxAge"', () => {
+      bus.addTopic({ name: 'LOG', history: { maxAge: 1000 } })
+
+      bus.say(bus.topics.LOG, 'first')
+      fastClock.tick(500)
+      bus.say(bus.topics.LOG, 'second')
+      fastClock.tick(500)
+
+      expect(bus.history(bus.topics.LOG).map((entry) => entry.payload)).to.deep.equal(['second'])
+
+      fastClock.tick(500)
+
+      expect(bus.history(bus.topics.LOG)).to.deep.equal([])
+    })
+
+    it('must return a copy of the history', () => {
+      bus.say(bus.topics.AUDIT, 'login')
+      bus.history(bus.topics.AUDIT).pop()
+
+      expect(bus.history(bus.topics.AUDIT)).to.have.lengthOf(1)
+    })
+
+    it('must return an empty list for a topic without the "history" property', () => {
+      bus.say(bus.topics.CLICKS, 'button')
+
+      expect(bus.history(bus.topics.CLICKS)).to.deep.equal([])
+    })
+
+    it('must not include requests', () => {
+      bus.request(bus.topics.AUDIT, 'query', { timeout: 10 }).catch(() => {})
+      fastClock.tick(10)
+
+      expect(bus.history(bus.topics.AUDIT)).to.deep.equal([])
+    })
+  })
+
+  describe('the "listen" method', () => {
+    it('must throw an error if the "options" parameter is not a plain object', () => {
+      expect(() => {
+        bus.listen(bus.topics.AUDIT, () => {}, 3)
+      }).to.throw(T.InvalidArgumentError, 'The "options" parameter for "listen()" must be a plain object.')
+    })
+
+    it('must throw an error if the "replay" option is not a non-negative integer', () => {
+      expect(() => {
+        bus.listen(bus.topics.AUDIT, () => {}, { replay: -1 })
+      }).to.throw(T.InvalidArgumentError, 'The "replay" option for "listen()" must be a non-negative integer.')
+    })
+
+    it('must replay the requested number of payloads from the history, asynchronously', () => {
+      const received = []
+
+      bus.say(bus.topics.AUDIT, 'a')
+      bus.say(bus.topics.AUDIT, 'b')
+      bus.say(bus.topics.AUDIT, 'c')
+      bus.listen(bus.topics.AUDIT, (payload) => { received.push(payload) }, { replay: 2 })
+
+      expect(received).to.deep.equal([])
+
+      return replayed().then(() => {
+        expect(received).to.deep.equal(['b', 'c'])
+      })
+    })
+
+    it('must deliver the replayed payloads before any new ones', () => {
+      const received = []
+
+      bus.say(bus.topics.AUDIT, 'a')
+      bus.listen(bus.topics.AUDIT, (payload) => { received.push(payload) }, { replay: 10 })
+      bus.say(bus.topics.AUDIT, 'b')
+
+      return replayed().then(() => {
+        bus.say(bus.topics.AUDIT, 'c')
+
+        expect(received).to.deep.equal(['a', 'b', 'c'])
+      })
+    })
+
+    it('must stop replaying if the listener is removed', () => {
+      const received = []
+      let subscription = null
+
+      bus.say(bus.topics.AUDIT, 'a')
+      bus.say(bus.topics.AUDIT, 'b')
+
+      subscription = bus.listen(bus.topics.AUDIT, (payload) => {
+        received.push(payload)
+        subscription.unsubscribe()
+      }, { replay: 2 })
+
+      return replayed().then(() => {
+        expect(received).to.deep.equal(['a'])
+      })
+    })
+
+    it('must allow the listener to be removed with "unlisten"', () => {
+      const received = []
+      const callback = (payload) => { received.push(payload) }
+
+      bus.say(bus.topics.AUDIT, 'a')
+      bus.listen(bus.topics.AUDIT, callback, { replay: 1 })
+      bus.unlisten(bus.topics.AUDIT, callback)
+
+      return replayed().then(() => {
+        bus.say(bus.topics.AUDIT, 'b')
+
+        expect(received).to.deep.equal([])
+      })
+    })
+
+    it('must republish an error thrown by the listener during the replay on the "ERROR" topic', () => {
+      const error = new Error('listener failed')
+      const reported = []
+
+      bus.listen(bus.topics.ERROR, (envelope) => { reported.push(envelope.error) })
+      bus.say(bus.topics.AUDIT, 'a')
+      bus.listen(bus.topics.AUDIT, () => { throw error }, { replay: 1 })
+
+      return replayed().then(() => {
+        expect(reported).to.deep.equal([error])
+      })
+    })
+
+    it('must replay the history instead of the sticky value', () => {
+      const received = []
+
+      bus.addTopic({ name: 'AUDIT', sticky: true })
+      bus.say(bus.topics.AUDIT, 'a')
+      bus.say(bus.topics.AUDIT, 'b')
+      bus.listen(bus.topics.AUDIT, (payload) => { received.push(payload) }, { replay: 2 })
+
+      return replayed().then(() => {
+        expect(received).to.deep.equal(['a', 'b'])
+      })
+    })
+
+    it('must not replay anything on a topic without the "history" property', () => {
+      const received = []
+
+      bus.say(bus.topics.CLICKS, 'button')
+      bus.listen(bus.topics.CLICKS, (payload) => { received.push(payload) }, { replay: 5 })
+
+      return replayed().then(() => {
+        expect(received).to.deep.equal([])
+      })
+    })
+  })
+
+  describe('the "removeTopic" method', () => {
+    it('must forget the history', () => {
+      bus.say(bus.topics.AUDIT, 'login')
+      bus.removeTopic('AUDIT')
+      bus.addTopic({ name: 'AUDIT', history: { size: 3 } })
+
+      expect(bus.history(bus.topics.AUDIT)).to.deep.equal([])
+    })
+  })
+})
@@ -0,0 +1,158 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: 'JOBS' })
+  })
+
+  /**
+   * Publishes each of the given payloads on "JOBS", and returns a promise for
+   * the payloads passed to a callback registered with `listenFor()` using the
+   * given pattern.
+   *
+   * @param  {Object}   pattern    The pattern to listen for.
+   *
+   * @param  {Array}    payloads   The values to publish, in order.
+   *
+   * @return {Promise}
+   */
+  function matchesOf (pattern, payloads) {
+    const received = []
+
+    bus.listenFor(bus.topics.JOBS, pattern, (payload) => { received.push(payload) })
+    payloads.forEach((payload) => { bus.say(bus.topics.JOBS, payload) })
+
+    return new Promise((resolve) => { process.nextTick(resolve) }).then(() => received)
+  }
+
+  describe('the "listenFor" method', () => {
+    it('must throw an error if the second parameter is an empty object', () => {
+      expect(() => {
+        bus.listenFor(bus.topics.JOBS, {}, () => {})
+      }).to.throw(T.InvalidArgumentError, 'The "value" parameter for "listenFor()" is required and must be a primitive value, an instance of RegExp, or a plain object with at least one property.')
+    })
+
+    it('must pass the first payload that partially matches an object to the callback', () => {
+      const payloads = [
+        'ready',
+        null,
+        { status: 'pending', id: 1 },
+        { status: 'ready', id: 2 },
+        { status: 'ready', id: 3 }
+      ]
+
+      return expect(matchesOf({ status: 'ready' }, payloads)).to.eventually.deep.equal([{ status: 'ready', id: 2 }])
+    })
+
+    it('must match nested objects partially', () => {
+      const payloads = [
+        { job: { status: 'ready' } },
+        { job: { status: 'done', result: { code: 0, output: 'ok' } } }
+      ]
+
+      return expect(matchesOf({ job: { result: { code: 0 } } }, payloads)).to.eventually.deep.equal([payloads[1]])
+    })
+
+    it('must allow regular expressions at any depth', () => {
+      const payloads = [
+        { job: { name: 42 } },
+        { job: { name: 'build:test' } },
+        { job: { name: 'deploy:prod' } }
+      ]
+
+      return expect(matchesOf({ job: { name: /^deploy:/ } }, payloads)).to.eventually.deep.equal([payloads[2]])
+    })
+
+    it('must allow predicate functions at any depth', () => {
+      const payloads = [
+        { status: 'done', stats: { duration: 50 } },
+        { status: 'done', stats: { duration: 500 } }
+      ]
+
+      return expect(matchesOf({ status: 'done', stats: { duration: (ms) => ms > 100 } }, payloads)).to.eventually.deep.equal([payloads[1]])
+    })
+
+    it('must match arrays by containment, in any order', () => {
+      const payloads = [
+        { tags: 'urgent' },
+        { tags: ['urgent'] },
+        { tags: ['nightly', 'flaky', 'urgent'] }
+      ]
+
+      return expect(matchesOf({ tags: ['urgent', 'nightly'] }, payloads)).to.eventually.deep.equal([payloads[2]])
+    })
+
+    it('must allow patterns within arrays', () => {
+      const payloads = [
+        { steps: [{ name: 'build', ok: true }, { name: 'test', ok: true }] },
+        { steps: [{ name: 'build', ok: true }, { name: 'test', ok: false }] }
+      ]
+
+      return expect(matchesOf({ steps: [{ name: 'test', ok: false }] }, payloads)).to.eventually.deep.equal([payloads[1]])
+    })
+
+    it('must republish an error thrown by a predicate on the "ERROR" topic, and keep listening', () => {
+      const error = new Error('bad predicate')
+      const reported = []
+
+      bus.listen(bus.topics.ERROR, (envelope) => { reported.push(envelope.error) })
+
+      return matchesOf({ id: (id) => { if (id === 1) { throw error } return true } }, [{ id: 1 }, { id: 2 }]).then((received) => {
+        expect(reported).to.deep.equal([error])
+        expect(received).to.deep.equal([{ id: 2 }])
+      })
+    })
+
+    it('must match a regular expression with the "g" flag from the start of each payload', () => {
+      const pattern = /ready/g
+
+      return matchesOf(pattern, ['ready']).then((first) => {
+        expect(first).to.deep.equal(['ready'])
+
+        return matchesOf(pattern, ['ready'])
+      }).then((second) => {
+        expect(second).to.deep.equal(['ready'])
+      })
+    })
+
+    it('must still call the callback without any arguments when matching a primitive value', () => {
+      const calls = []
+
+      bus.listenFor(bus.topics.JOBS, 'done', (...args) => { calls.push(args) })
+      bus.say(bus.topics.JOBS, 'done')
+
+      return new Promise((resolve) => { process.nextTick(resolve) }).then(() => {
+        expect(calls).to.deep.equal([[]])
+      })
+    })
+  })
+
+  describe('the "next" method', () => {
+    it('must accept the same kinds of patterns', () => {
+      const promise = bus.next(bus.topics.JOBS, { where: { tags: ['urgent'], job: { name: /^deploy:/ } } })
+
+      bus.say(bus.topics.JOBS, { tags: ['urgent'], job: { name: 'build:test' } })
+      bus.say(bus.topics.JOBS, { tags: ['nightly', 'urgent'], job: { name: 'deploy:prod' } })
+
+      return expect(promise).to.eventually.deep.equal({ tags: ['nightly', 'urgent'], job: { name: 'deploy:prod' } })
+    })
+  })
+})
@@ -0,0 +1,180 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+/**
+ * Calls `done` after the current round of asynchronous activity has finished,
+ * once `assertions` has run without throwing.
+ *
+ * @param  {Function}   done         The callback provided by mocha.
+ *
+ * @param  {Function}   assertions   The function containing the assertions.
+ *
+ * @return {undefined}
+ */
+function verifyLater (done, assertions) {
+  global.setTimeout(() => {
+    try {
+      assertions()
+      done()
+    } catch (e) {
+      done(e)
+    }
+  }, 10)
+}
+
+describe('the "topico" module', function () {
+  afterEach(() => {
+    T.cancelAll()
+  })
+
+  describe('the "say" method, when a listener fails', () => {
+    it('must not throw the error to the caller', () => {
+      T.listen(T.topics.INFO, () => { throw new Error('oops') })
+
+      expect(() => {
+        T.say(T.topics.INFO, 'hello')
+      }).to.not.throw()
+    })
+
+    it('must still call the remaining listeners', (done) => {
+      const actual = []
+
+      T.listen(T.topics.INFO, () => { throw new Error('oops') })
+      T.listen(T.topics.INFO, (data) => { actual.push(data) })
+
+      T.say(T.topics.INFO, 'hello')
+
+      verifyLater(done, () => {
+        expect(actual).to.deep.equal(['hello'])
+      })
+    })
+
+    it('must still remove one-time listeners', (done) => {
+      const actual = []
+
+      T.listenOnce(T.topics.INFO, (data) => {
+        actual.push(data)
+        throw new Error('oops')
+      })
+
+      T.say(T.topics.INFO, 'hello')
+      T.say(T.topics.INFO, 'world')
+
+      verifyLater(done, () => {
+        expect(actual).to.deep.equal(['hello'])
+      })
+    })
+
+    it('must republish the error on the "ERROR" topic', (done) => {
+      const error = new Error('oops')
+
+      T.listen(T.topics.INFO, () => { throw error })
+
+      T.listenOnce(T.topics.ERROR, (envelope) => {
+        try {
+          expect(envelope).to.deep.equal({ topic: T.topics.INFO, payload: 'hello', error: error })
+          expect(Object.isFrozen(envelope)).to.equal(true)
+          done()
+        } catch (e) {
+          done(e)
+        }
+      })
+
+      T.say(T.topics.INFO, 'hello')
+    })
+
+    it('must not publish on the "ERROR" topic until every listener has been called', (done) => {
+      const actual = []
+
+      T.listen(T.topics.INFO, () => { throw new Error('oops') })
+      T.listen(T.topics.INFO, () => { actual.push('info') })
+      T.listen(T.topics.ERROR, () => { actual.push('error') })
+
+      T.say(T.topics.INFO, 'hello')
+
+      verifyLater(done, () => {
+        expect(actual).to.deep.equal(['info', 'error'])
+      })
+    })
+
+    it('must republish the rejection of an asynchronous listener on the "ERROR" topic', (done) => {
+      const error = new Error('oops')
+
+      T.listen(T.topics.INFO, async () => { throw error })
+
+      T.listenOnce(T.topics.ERROR, (envelope) => {
+        try {
+          expect(envelope.topic).to.equal(T.topics.INFO)
+          expect(envelope.error).to.equal(error)
+          done()
+        } catch (e) {
+          done(e)
+        }
+      })
+
+      T.say(T.topics.INFO, 'hello')
+    })
+
+    it('must republish an error from a "listenFor" callback on the "ERROR" topic', (done) => {
+      const error = new Error('oops')
+
+      T.listenFor(T.topics.INFO, /hel+o/, () => { throw error })
+
+      T.listenOnce(T.topics.ERROR, (envelope) => {
+        try {
+          expect(envelope).to.deep.equal({ topic: T.topics.INFO, payload: 'hello', error: error })
+          done()
+        } catch (e) {
+          done(e)
+        }
+      })
+
+      T.say(T.topics.INFO, 'hello')
+    })
+
+    it('must republish the failure of a listener on the "ERROR" topic once', (done) => {
+      const actual = []
+
+      T.listen(T.topics.ERROR, (data) => {
+        actual.push(data)
+        throw new Error('oops')
+      })
+
+      T.say(T.topics.ERROR, 'original')
+
+      verifyLater(done, () => {
+        expect(actual).to.have.lengthOf(2)
+        expect(actual[0]).to.equal('original')
+        expect(actual[1].payload).to.equal('original')
+      })
+    })
+
+    it('must not republish the failure of a listener that is handling a previous failure', (done) => {
+      let count = 0
+
+      T.listen(T.topics.INFO, () => { throw new Error('info') })
+      T.listen(T.topics.ERROR, async () => {
+        count++
+        throw new Error('error')
+      })
+
+      T.say(T.topics.INFO, 'hello')
+
+      verifyLater(done, () => {
+        expect(count).to.equal(1)
+      })
+    })
+  })
+})
@@ -0,0 +1,220 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: 'STATUS', requestTTL: 1000 })
+  })
+
+  /**
+   * Returns `true` if anything is still listening on "STATUS".
+   *
+   * @return {Promise}
+   */
+  function isListening () {
+    return bus.request(bus.topics.STATUS, null, { failFast: true, timeout: 0 }).then(
+      () => true,
+      (err) => !(err instanceof T.NoResponderError)
+    )
+  }
+
+  it('must have a method called "next"', () => {
+    const expected = 'function'
+    const actual = typeof bus.next
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "next" method', () => {
+    it('must be rejected if the first parameter is not a member of ".topics"', () => {
+      return expect(bus.next('STATUS')).to.be.rejectedWith(T.InvalidTopicError, 'The "topic" parameter for "next()" is required and must be a value from "topics".')
+    })
+
+    it('must be rejected if any of the options are not valid', () => {
+      return Promise.all([
+        expect(bus.next(bus.topics.STATUS, 'ready')).to.be.rejectedWith(T.InvalidArgumentError, 'The "options" parameter for "next()" must be a plain object.'),
+        expect(bus.next(bus.topics.STATUS, { timeout: -1 })).to.be.rejectedWith(T.InvalidArgumentError, 'The "timeout" option for "next()" must be a non-negative number no larger than 2147483647.'),
+        expect(bus.next(bus.topics.STATUS, { timeout: Infinity })).to.be.rejectedWith(T.InvalidArgumentError, 'The "timeout" option for "next()" must be a non-negative number no larger than 2147483647.'),
+        expect(bus.next(bus.topics.STATUS, { timeout: NaN })).to.be.rejectedWith(T.InvalidArgumentError, 'The "timeout" option for "next()" must be a non-negative number no larger than 2147483647.'),
+        expect(bus.next(bus.topics.STATUS, { signal: 'stop' })).to.be.rejectedWith(T.InvalidArgumentError, 'The "signal" option for "next()" must be an AbortSignal.'),
+        expect(bus.next(bus.topics.STATUS, { where: {} })).to.be.rejectedWith(T.InvalidArgumentError, 'The "where" option for "next()" must be a primitive value, an instance of RegExp, a function, or a plain object with at least one property.')
+      ])
+    })
+
+    it('must resolve with the next payload, if the "where" option is omitted', () => {
+      const promise = bus.next(bus.topics.STATUS)
+
+      bus.say(bus.topics.STATUS, { status: 'ready' })
+
+      return expect(promise).to.eventually.deep.equal({ status: 'ready' })
+    })
+
+    it('must wait for a payload that is identical to a primitive value', () => {
+      const promise = bus.next(bus.topics.STATUS, { where: 'ready' })
+
+      bus.say(bus.topics.STATUS, 'starting')
+      bus.say(bus.topics.STATUS, 'ready')
+
+      return expect(promise).to.eventually.equal('ready')
+    })
+
+    it('must wait for a payload that matches a regular expression', () => {
+      const promise = bus.next(bus.topics.STATUS, { where: /^ready/g })
+
+      bus.say(bus.topics.STATUS, 'starting')
+      bus.say(bus.topics.STATUS, 'ready to go')
+
+      return expect(promise).to.eventually.equal('ready to go')
+    })
+
+    it('must wait for a payload that passes a predicate function', () => {
+      const promise = bus.next(bus.topics.STATUS, { where: (payload) => payload > 2 })
+
+      ;[1, 2, 3, 4].forEach((payload) => { bus.say(bus.topics.STATUS, payload) })
+
+      return expect(promise).to.eventually.equal(3)
+    })
+
+    it('must wait for a payload that partially matches a plain object, at any depth', () => {
+      const promise = bus.next(bus.topics.STATUS, { where: { status: 'ready', host: { region: 'eu' } } })
+
+      bus.say(bus.topics.STATUS, null)
+      bus.say(bus.topics.STATUS, { status: 'ready', host: { region: 'us', id: 1 } })
+      bus.say(bus.topics.STATUS, { status: 'ready', host: { region: 'eu', id: 2 }, uptime: 0 })
+
+      return expect(promise).to.eventually.deep.equal({ status: 'ready', host: { region: 'eu', id: 2 }, uptime: 0 })
+    })
+
+    it('must be rejected if the predicate function throws an error', () => {
+      const error = new Error('bad predicate')
+      const promise = bus.next(bus.topics.STATUS, { where: () => { throw error } })
+
+      bus.say(bus.topics.STATUS, 'ready')
+
+      return expect(promise).to.be.rejectedWith(error).then(isListening).then((listening) => {
+        expect(listening).to.equal(false)
+      })
+    })
+
+    it('must be rejected with a "WaitTimeoutError" if nothing matches in time', () => {
+      const promise = bus.next(bus.topics.STATUS, { where: 'ready', timeout: 250 })
+
+      bus.say(bus.topics.STATUS, 'starting')
+      fastClock.tick(250)
+
+      return expect(promise).to.be.rejectedWith(T.WaitTimeoutError, 'Nothing matching was published on topic "STATUS" within the required time limit.').then((err) => {
+        expect(err).to.be.an.instanceof(T.TopicoError)
+        expect(err.code).to.equal('ERR_WAIT_TIMEOUT')
+        expect(err.topic).to.equal('STATUS')
+        expect(err.elapsedMs).to.equal(250)
+      })
+    })
+
+    it('must time out after "requestTTL" by default', () => {
+      const promise = bus.next(bus.topics.STATUS)
+
+      fastClock.tick(1000)
+
+      return expect(promise).to.be.rejectedWith(T.WaitTimeoutError)
+    })
+
+    it('must remove its listener after it times out', () => {
+      const promise = bus.next(bus.topics.STATUS, { timeout: 10 })
+
+      fastClock.tick(10)
+
+      return expect(promise).to.be.rejected.then(isListening).then((listening) => {
+        expect(listening).to.equal(false)
+      })
+    })
+
+    it('must remove its listener after it finds a match', () => {
+      const promise = bus.next(bus.topics.STATUS)
+
+      bus.say(bus.topics.STATUS, 'ready')
+
+      return promise.then(isListening).then((listening) => {
+        expect(listening).to.equal(false)
+      })
+    })
+
+    it('must be rejected if the signal is aborted', () => {
+      const listeners = []
+      const signal = {
+        aborted: false,
+        addEventListener: (type, fn) => { listeners.push(fn) },
+        removeEventListener: (type, fn) => { listeners.splice(listeners.indexOf(fn), 1) }
+      }
+
+      const promise = bus.next(bus.topics.STATUS, { signal: signal })
+
+      listeners.slice().forEach((fn) => { fn() })
+
+      return expect(promise).to.be.rejected.then((err) => {
+        expect(err.name).to.equal('AbortError')
+        expect(listeners).to.have.lengthOf(0)
+
+        return isListening()
+      }).then((listening) => {
+        expect(listening).to.equal(false)
+      })
+    })
+
+    it('must be rejected right away if the signal has already been aborted', () => {
+      const signal = {
+        aborted: true,
+        addEventListener: () => {},
+        removeEventListener: () => {}
+      }
+
+      return expect(bus.next(bus.topics.STATUS, { signal: signal })).to.be.rejected.then((err) => {
+        expect(err.name).to.equal('AbortError')
+      })
+    })
+
+    it('must not resolve with a payload that was published before it was called', () => {
+      bus.addTopic({ name: 'STATUS', sticky: true })
+      bus.say(bus.topics.STATUS, 'ready')
+
+      const promise = bus.next(bus.topics.STATUS, { timeout: 10 })
+
+      fastClock.tick(10)
+
+      return expect(promise).to.be.rejectedWith(T.WaitTimeoutError)
+    })
+  })
+})
@@ -0,0 +1,114 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  it('must export a class called "NoResponderError"', () => {
+    const expected = 'function'
+    const actual = typeof T.NoResponderError
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "request" method, with the "failFast" option', () => {
+    /**
+     * @type {Object}
+     */
+    let bus = null
+
+    beforeEach(() => {
+      bus = T.createBus({ topics: 'TEST' })
+    })
+
+    it('must reject the request right away if there are no listeners on the topic', () => {
+      bus.listenOnce(bus.topics.INFO, () => {})
+
+      return bus.request(bus.topics.TEST, 'hello', { failFast: true }).then(
+        () => { throw new Error('The promise was not rejected.') },
+        (err) => {
+          expect(err).to.be.an.instanceOf(T.NoResponderError)
+          expect(err).to.be.an.instanceOf(Error)
+          expect(err.name).to.equal('NoResponderError')
+          expect(err.code).to.equal('ERR_NO_RESPONDER')
+          expect(err.message).to.equal('There are no listeners on topic "TEST" to respond to the request.')
+          expect(err.topic).to.equal('TEST')
+          expect(err.trackingNo).to.be.a('string')
+          expect(fastClock.countTimers()).to.equal(0)
+        }
+      )
+    })
+
+    it('must not reject the request right away if there is a listener on the topic', () => {
+      bus.listenOnce(bus.topics.TEST, (payload) => {
+        global.setTimeout(() => { bus.respond(payload.trackingNo, 'world') }, 10)
+      })
+
+      const promise = bus.request(bus.topics.TEST, 'hello', { failFast: true })
+
+      fastClock.tick(10)
+
+      return expect(promise).to.eventually.equal('world')
+    })
+
+    it('must count pattern listeners', () => {
+      bus.listenPattern('#', (payload) => {
+        if (payload && payload.trackingNo) { bus.respond(payload.trackingNo, 'world') }
+      })
+
+      return expect(bus.request(bus.topics.TEST, 'hello', { failFast: true })).to.eventually.equal('world')
+    })
+
+    it('must wait for the request to time out if the option is not set', () => {
+      const promise = bus.request(bus.topics.TEST, 'hello')
+
+      fastClock.runToLast()
+
+      return expect(promise).to.be.rejectedWith('No response received within the required time limit.')
+    })
+  })
+
+  describe('the "strict" option of "createBus"', () => {
+    it('must cause requests to fail fast by default', () => {
+      const bus = T.createBus({ topics: 'TEST', strict: true })
+
+      return expect(bus.request(bus.topics.TEST, 'hello')).to.be.rejectedWith(T.NoResponderError)
+    })
+
+    it('must allow individual requests to opt out', () => {
+      const bus = T.createBus({ topics: 'TEST', strict: true })
+      const promise = bus.request(bus.topics.TEST, 'hello', { failFast: false })
+
+      fastClock.runToLast()
+
+      return expect(promise).to.be.rejectedWith('No response received within the required time limit.')
+    })
+  })
+})
@@ -0,0 +1,346 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * Each test gets a fresh instance, since topics cannot be removed once added.
+   * @type {Object}
+   */
+  let bus = null
+
+  beforeEach(() => {
+    bus = T.createBus()
+  })
+
+  describe('the "addTopic" method, with a descriptor', () => {
+    it('must add the named topic', () => {
+      bus.addTopic({ name: 'user.login' })
+
+      expect(bus.topics.USER.LOGIN).to.be.a('symbol')
+    })
+
+    it('must accept a mixture of names and descriptors', () => {
+      bus.addTopic(['SESSION', { name: 'USER' }])
+
+      expect(bus.topics).to.include.keys('SESSION', 'USER')
+    })
+
+    it('must throw an error if the name is missing', () => {
+      expect(() => {
+        bus.addTopic({ payload: { type: 'string' } })
+      }).to.throw('The "name" property of a topic descriptor is required and must be a string.')
+    })
+
+    it('must throw an error if a validator is neither a schema nor a function', () => {
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: 'string' })
+      }).to.throw(TypeError, 'The "payload" property of the descriptor for topic "TEST" must be either a schema or a function.')
+    })
+
+    it('must throw an error if a schema uses an unsupported keyword', () => {
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: { type: 'object', properties: { id: { oneOf: [] } } } })
+      }).to.throw(TypeError, 'The schema at "schema.properties.id" uses the unsupported keyword "oneOf".')
+    })
+
+    it('must throw an error if a schema uses an unsupported type', () => {
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: { type: ['string', 'date'] } })
+      }).to.throw(TypeError, 'The schema at "schema" uses the unsupported type "date".')
+    })
+
+    it('must throw an error if a schema is not a plain object', () => {
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: { type: 'array', items: [] } })
+      }).to.throw(TypeError, 'The schema at "schema.items" must be a plain object.')
+    })
+
+    it('must throw an error if "enum" or "required" is not an array', () => {
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: { enum: 'a' } })
+      }).to.throw(TypeError, 'The "enum" keyword in the schema at "schema" must be an array.')
+
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: { required: 'a' } })
+      }).to.throw(TypeError, 'The "required" keyword in the schema at "schema" must be an array.')
+    })
+
+    it('must throw an error if "pattern" is not a valid regular expression', () => {
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: { type: 'string', pattern: '[' } })
+      }).to.throw(T.InvalidArgumentError, 'The "pattern" keyword in the schema at "schema" is not a valid regular expression')
+
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: { type: 'string', pattern: /a/ } })
+      }).to.throw(T.InvalidArgumentError, 'The "pattern" keyword in the schema at "schema" must be a string.')
+    })
+
+    it('must throw an error if "properties" is not a plain object', () => {
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: { type: 'object', properties: null } })
+      }).to.throw(T.InvalidArgumentError, 'The "properties" keyword in the schema at "schema" must be a plain object.')
+    })
+
+    it('must throw an error if a length or item count is not a non-negative integer', () => {
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: { type: 'string', minLength: '3' } })
+      }).to.throw(T.InvalidArgumentError, 'The "minLength" keyword in the schema at "schema" must be a non-negative integer.')
+
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: { type: 'array', items: { type: 'string', maxLength: -1 } } })
+      }).to.throw(T.InvalidArgumentError, 'The "maxLength" keyword in the schema at "schema.items" must be a non-negative integer.')
+
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: { type: 'array', minItems: 1.5 } })
+      }).to.throw(T.InvalidArgumentError, 'The "minItems" keyword in the schema at "schema" must be a non-negative integer.')
+    })
+
+    it('must throw an error if a numeric bound is not a number', () => {
+      expect(() => {
+        bus.addTopic({ name: 'TEST', payload: { type: 'number', maximum: '10' } })
+      }).to.throw(T.InvalidArgumentError, 'The "maximum" keyword in the schema at "schema" must be a number.')
+    })
+
+    it('must replace the validators of an existing topic', () => {
+      bus.addTopic({ name: 'TEST', payload: { type: 'string' } })
+      bus.addTopic({ name: 'TEST', payload: { type: 'number' } })
+
+      expect(() => {
+        bus.say(bus.topics.TEST, 42)
+      }).to.not.throw()
+    })
+
+    it('must not affect the validators of an existing topic if none are specified', () => {
+      bus.addTopic({ name: 'TEST', payload: { type: 'string' } })
+      bus.addTopic({ name: 'TEST' })
+      bus.addTopic('TEST')
+
+      expect(() => {
+        bus.say(bus.topics.TEST, 42)
+      }).to.throw(TypeError)
+    })
+  })
+
+  describe('the "say" method, on a topic with a "payload" schema', () => {
+    /**
+     * Returns the error thrown when publishing the value on a new topic with
+     * the given schema, or `null` if nothing was thrown.
+     *
+     * @param  {Object}   schema   The schema for the topic.
+     *
+     * @param  {any}      value    The value to publish.
+     *
+     * @return {Error?}
+     */
+    function attempt (schema, value) {
+      bus.addTopic({ name: 'TEST', payload: schema })
+
+      try {
+        bus.say(bus.topics.TEST, value)
+      } catch (e) {
+        return e
+      }
+
+      return null
+    }
+
+    it('must publish a valid payload', (done) => {
+      bus.addTopic({ name: 'TEST', payload: { type: 'object', required: ['id'] } })
+      bus.listenOnce(bus.topics.TEST, () => { done() })
+      bus.say(bus.topics.TEST, { id: 1 })
+    })
+
+    it('must throw a TypeError that names the topic and the failing path', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          user: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' }
+            }
+          }
+        }
+      }
+
+      const err = attempt(schema, { user: { name: 42 } })
+
+      expect(err).to.be.an.instanceOf(TypeError)
+      expect(err.message).to.equal('The payload for topic "TEST" is not valid: "payload.user.name" must be of type string.')
+    })
+
+    it('must not call any listeners if the payload is not valid', (done) => {
+      let called = false
+
+      bus.addTopic({ name: 'TEST', payload: { type: 'string' } })
+      bus.listen(bus.topics.TEST, () => { called = true })
+
+      expect(() => { bus.say(bus.topics.TEST, 42) }).to.throw(TypeError)
+
+      global.setTimeout(() => {
+        try {
+          expect(called).to.equal(false)
+          done()
+        } catch (e) {
+          done(e)
+        }
+      }, 10)
+    })
+
+    const cases = [
+      [{ type: 'string' }, 'a', null],
+      [{ type: ['string', 'null'] }, null, null],
+      [{ type: ['string', 'null'] }, 1, '"payload" must be of type string or null'],
+      [{ type: 'number' }, NaN, '"payload" must be of type number'],
+      [{ type: 'integer' }, 1.5, '"payload" must be of type integer'],
+      [{ type: 'boolean' }, 'true', '"payload" must be of type boolean'],
+      [{ type: 'object' }, [], '"payload" must be of type object'],
+      [{ type: 'array' }, {}, '"payload" must be of type array'],
+      [{ type: 'null' }, 0, '"payload" must be of type null'],
+      [{ enum: ['a', { b: 1 }] }, { b: 1 }, null],
+      [{ enum: ['a', 'b'] }, 'c', '"payload" must be one of ["a","b"]'],
+      [{ const: 'a' }, 'b', '"payload" must be equal to "a"'],
+      [{ minLength: 2 }, 'a', '"payload" must be at least 2 characters long'],
+      [{ maxLength: 2 }, 'abc', '"payload" must be no more than 2 characters long'],
+      [{ pattern: '^[a-z]+$' }, 'A', '"payload" must match the pattern /^[a-z]+$/'],
+      [{ minimum: 1 }, 0, '"payload" must be greater than or equal to 1'],
+      [{ maximum: 1 }, 2, '"payload" must be less than or equal to 1'],
+      [{ exclusiveMinimum: 1 }, 1, '"payload" must be greater than 1'],
+      [{ exclusiveMaximum: 1 }, 1, '"payload" must be less than 1'],
+      [{ minLength: 2, minimum: 2, minItems: 2 }, true, null],
+      [{ minItems: 1 }, [], '"payload" must contain at least 1 item(s)'],
+      [{ maxItems: 1 }, [1, 2], '"payload" must contain no more than 1 item(s)'],
+      [{ items: { type: 'number' } }, [1, 'two'], '"payload[1]" must be of type number'],
+      [{ items: { type: 'number' } }, [1, 2], null],
+      [{ required: ['id'] }, {}, '"payload.id" is required'],
+      [{ required: ['the id'] }, {}, '"payload["the id"]" is required'],
+      [{ properties: { id: { type: 'number' } }, additionalProperties: false }, { id: 1, name: 'a' }, '"payload.name" is not allowed'],
+      [{ additionalProperties: { type: 'number' } }, { id: 1, name: 'a' }, '"payload.name" must be of type number'],
+      [{ additionalProperties: true, title: 'Anything', description: 'Goes' }, { id: 1 }, null]
+    ]
+
+    cases.forEach((testCase) => {
+      const schema = testCase[0]
+      const value = testCase[1]
+      const expected = testCase[2]
+
+      it(`must ${expected ? 'reject' : 'accept'} ${JSON.stringify(value)} for ${JSON.stringify(schema)}`, () => {
+        const err = attempt(schema, value)
+
+        if (expected) {
+          expect(err).to.be.an.instanceOf(TypeError)
+          expect(err.message).to.equal(`The payload for topic "TEST" is not valid: ${expected}.`)
+        } else {
+          expect(err).to.equal(null)
+        }
+      })
+    })
+  })
+
+  describe('the "say" method, on a topic with a "payload" function', () => {
+    it('must publish a payload that the function accepts', () => {
+      bus.addTopic({ name: 'TEST', payload: (value) => { return (value > 0) } })
+
+      expect(() => {
+        bus.say(bus.topics.TEST, 1)
+      }).to.not.throw()
+    })
+
+    it('must throw a TypeError for a payload that the function rejects', () => {
+      bus.addTopic({ name: 'TEST', payload: (value) => { return (value > 0) } })
+
+      expect(() => {
+        bus.say(bus.topics.TEST, -1)
+      }).to.throw(TypeError, 'The payload for topic "TEST" is not valid: "payload" was rejected by the validator.')
+    })
+  })
+
+  describe('the "request" and "respond" methods, on a topic with validators', () => {
+    /**
+     * Instead of waiting for all of the timeouts to pass in real-time, the
+     * fake clock allows us to "fast-forward" as needed.
+     * @type {Object}
+     */
+    let fastClock = null
+
+    before(() => {
+      fastClock = fakeTimers.install()
+    })
+
+    after(() => {
+      fastClock.uninstall()
+    })
+
+    beforeEach(() => {
+      bus.addTopic({
+        name: 'USER.LOOKUP',
+        payload: { type: 'object', required: ['id'] },
+        response: { type: 'object', properties: { name: { type: 'string' } } }
+      })
+    })
+
+    it('must not check the request envelope against the "payload" validator', () => {
+      bus.listenOnce(bus.topics.USER.LOOKUP, (payload) => {
+        bus.respond(payload.trackingNo, { name: 'Alice' })
+      })
+
+      return expect(bus.request(bus.topics.USER.LOOKUP, { id: 1 })).to.eventually.deep.equal({ name: 'Alice' })
+    })
+
+    it('must reject the request if the query is not valid', () => {
+      return expect(bus.request(bus.topics.USER.LOOKUP, {})).to.be.rejectedWith(TypeError, 'The query for topic "USER.LOOKUP" is not valid: "query.id" is required.')
+    })
+
+    it('must throw an error from "respond" if the answer is not valid', (done) => {
+      bus.listenOnce(bus.topics.USER.LOOKUP, (payload) => {
+        try {
+          expect(() => {
+            bus.respond(payload.trackingNo, { name: 42 })
+          }).to.throw(TypeError, 'The response for topic "USER.LOOKUP" is not valid: "response.name" must be of type string.')
+          done()
+        } catch (e) {
+          done(e)
+        }
+      })
+
+      bus.request(bus.topics.USER.LOOKUP, { id: 1 }).catch(() => { /* safe to ignore timeout error */ })
+      fastClock.runToLast()
+    })
+
+    it('must not check an answer for a request that is no longer pending', (done) => {
+      let trackingNo = null
+
+      bus.listenOnce(bus.topics.USER.LOOKUP, (payload) => {
+        trackingNo = payload.trackingNo
+      })
+
+      bus.request(bus.topics.USER.LOOKUP, { id: 1 })
+        .catch(() => {
+          try {
+            expect(() => {
+              bus.respond(trackingNo, { name: 42 })
+            }).to.not.throw()
+            done()
+          } catch (e) {
+            done(e)
+          }
+        })
+
+      fastClock.runToLast()
+    })
+  })
+})
@@ -0,0 +1,203 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * Each test gets a fresh instance, so that removing (or sealing) topics does
+   * not affect any other tests.
+   * @type {Object}
+   */
+  let bus = null
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: ['SESSION', 'USER.LOGIN', 'USER.LOGOUT'] })
+  })
+
+  it('must have a method called "removeTopic"', () => {
+    const expected = 'function'
+    const actual = typeof bus.removeTopic
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "removeTopic" method', () => {
+    const ERR_INVALID_TOPIC = 'The "name" parameter for "removeTopic()" is required and must be a string (or an array of strings).'
+
+    it('must throw an error if the topic name is missing', () => {
+      expect(() => {
+        bus.removeTopic()
+      }).to.throw(ERR_INVALID_TOPIC)
+    })
+
+    it('must throw an error if the topic name is not a string value', () => {
+      expect(() => {
+        bus.removeTopic(['SESSION', bus.topics.INFO])
+      }).to.throw(ERR_INVALID_TOPIC)
+
+      expect(bus.topics).to.have.property('SESSION')
+    })
+
+    it('must remove the topic from the enumeration', () => {
+      bus.removeTopic('session')
+
+      expect(bus.topics).to.not.have.property('SESSION')
+      expect(bus.describeTopics().map((entry) => entry.name)).to.not.include('SESSION')
+    })
+
+    it('must remove the parent of a hierarchical topic once it has no other children', () => {
+      bus.removeTopic('USER.LOGIN')
+
+      expect(bus.topics.USER).to.have.all.keys('LOGOUT')
+
+      bus.removeTopic(['USER.LOGOUT'])
+
+      expect(bus.topics).to.not.have.property('USER')
+    })
+
+    it('must not alter the Symbol values of the remaining topics', () => {
+      const expected = bus.topics.USER.LOGOUT
+
+      bus.removeTopic('USER.LOGIN')
+
+      expect(bus.topics.USER.LOGOUT).to.equal(expected)
+    })
+
+    it('must safely ignore a name that is not in the enumeration', () => {
+      expect(() => {
+        bus.removeTopic('UNKNOWN')
+      }).to.not.throw()
+    })
+
+    it('must cause the removed topic to be rejected', () => {
+      const topic = bus.topics.SESSION
+
+      bus.removeTopic('SESSION')
+
+      expect(() => {
+        bus.say(topic)
+      }).to.throw(TypeError, 'The "topic" parameter for "say()" is required and must be a value from "topics".')
+    })
+
+    it('must drop all of the listeners on the topic', (done) => {
+      const actual = []
+
+      bus.listen(bus.topics.SESSION, (data) => { actual.push(data) })
+      bus.listenPattern('SESSION', (data) => { actual.push(data) })
+
+      bus.removeTopic('SESSION')
+      bus.addTopic('SESSION')
+      bus.say(bus.topics.SESSION, 'hello')
+
+      global.setTimeout(() => {
+        try {
+          expect(actual).to.deep.equal(['hello'])
+          done()
+        } catch (e) {
+          done(e)
+        }
+      }, 10)
+    })
+
+    it('must not report listener errors on the "ERROR" topic once it has been removed', () => {
+      bus.listen(bus.topics.INFO, () => { throw new Error('oops') })
+      bus.removeTopic('ERROR')
+
+      expect(() => {
+        bus.say(bus.topics.INFO)
+      }).to.not.throw()
+    })
+
+    describe('its effect on pending requests', () => {
+      /**
+       * Instead of waiting for all of the timeouts to pass in real-time, the
+       * fake clock allows us to "fast-forward" as needed.
+       * @type {Object}
+       */
+      let fastClock = null
+
+      before(() => {
+        fastClock = fakeTimers.install()
+      })
+
+      after(() => {
+        fastClock.uninstall()
+      })
+
+      it('must reject any pending requests on the topic', () => {
+        const promise = bus.request(bus.topics.SESSION, 'hello')
+
+        bus.removeTopic('SESSION')
+
+        return expect(promise).to.be.rejectedWith(Error, 'The topic "SESSION" was removed before a response was received.')
+      })
+
+      it('must not affect pending requests on other topics', () => {
+        bus.listenOnce(bus.topics.USER.LOGIN, (payload) => {
+          bus.removeTopic('SESSION')
+          bus.respond(payload.trackingNo, 'world')
+        })
+
+        bus.request(bus.topics.SESSION).catch(() => { /* expected */ })
+
+        return expect(bus.request(bus.topics.USER.LOGIN, 'hello')).to.eventually.equal('world')
+      })
+    })
+  })
+
+  it('must have a method called "sealTopics"', () => {
+    const expected = 'function'
+    const actual = typeof bus.sealTopics
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "sealTopics" method', () => {
+    it('must cause "addTopic" to throw an error', () => {
+      bus.sealTopics()
+
+      expect(() => {
+        bus.addTopic('NEW')
+      }).to.throw('Topics cannot be added after "sealTopics()" has been called.')
+
+      expect(bus.topics).to.not.have.property('NEW')
+    })
+
+    it('must cause "removeTopic" to throw an error', () => {
+      bus.sealTopics()
+
+      expect(() => {
+        bus.removeTopic('SESSION')
+      }).to.throw('Topics cannot be removed after "sealTopics()" has been called.')
+
+      expect(bus.topics).to.have.property('SESSION')
+    })
+
+    it('must not prevent the existing topics from being used', (done) => {
+      bus.sealTopics()
+      bus.listenOnce(bus.topics.SESSION, () => { done() })
+      bus.say(bus.topics.SESSION)
+    })
+
+    it('must not affect any other instance', () => {
+      bus.sealTopics()
+
+      expect(() => {
+        T.createBus().addTopic('NEW')
+      }).to.not.throw()
+    })
+  })
+})
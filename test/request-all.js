@@ -0,0 +1,170 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: 'HEALTH', requestTTL: 1000 })
+  })
+
+  /**
+   * Adds a listener that responds to each request with the given value, after
+   * the given delay.
+   *
+   * @param  {any}      value   The value to respond with.
+   *
+   * @param  {Number}   delay   The number of milliseconds to wait.
+   *
+   * @return {undefined}
+   */
+  function addResponder (value, delay) {
+    bus.listen(bus.topics.HEALTH, (payload) => {
+      global.setTimeout(() => { bus.respond(payload.trackingNo, value) }, delay)
+    })
+  }
+
+  it('must have a method called "requestAll"', () => {
+    const expected = 'function'
+    const actual = typeof bus.requestAll
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "requestAll" method', () => {
+    it('must be rejected if the first parameter is not a member of ".topics"', () => {
+      return expect(bus.requestAll('topic')).to.be.rejectedWith(TypeError, 'The "topic" parameter for "requestAll()" is required and must be a value from "topics".')
+    })
+
+    it('must be rejected if the "max" option is not a positive integer', () => {
+      return Promise.all([0, 1.5, '2'].map((value) => {
+        return expect(bus.requestAll(bus.topics.HEALTH, null, { max: value })).to.be.rejectedWith(TypeError, 'The "max" option for "requestAll()" must be a positive integer.')
+      }))
+    })
+
+    it('must collect every response received within the time limit', () => {
+      addResponder('db', 10)
+      addResponder('cache', 20)
+      addResponder('too slow', 2000)
+
+      const promise = bus.requestAll(bus.topics.HEALTH, 'status')
+
+      fastClock.tick(1000)
+
+      return promise.then((actual) => {
+        expect(actual).to.deep.equal([
+          { value: 'db', elapsedMs: 10 },
+          { value: 'cache', elapsedMs: 20 }
+        ])
+      })
+    })
+
+    it('must collect an error sent by a responder, with the property "error" instead of "value"', () => {
+      const error = new Error('database unavailable')
+
+      addResponder('cache', 10)
+      bus.listen(bus.topics.HEALTH, (payload) => {
+        global.setTimeout(() => { bus.respondError(payload.trackingNo, error) }, 20)
+      })
+
+      const promise = bus.requestAll(bus.topics.HEALTH, 'status', { max: 2 })
+
+      fastClock.tick(20)
+
+      return promise.then((actual) => {
+        expect(actual).to.deep.equal([
+          { value: 'cache', elapsedMs: 10 },
+          { error: error, elapsedMs: 20 }
+        ])
+      })
+    })
+
+    it('must be resolved with an empty list if there are no responses', () => {
+      const promise = bus.requestAll(bus.topics.HEALTH, 'status')
+
+      fastClock.runToLast()
+
+      return expect(promise).to.eventually.deep.equal([])
+    })
+
+    it('must be resolved as soon as "max" responses have been received', () => {
+      addResponder('first', 10)
+      addResponder('second', 20)
+      addResponder('third', 30)
+
+      const promise = bus.requestAll(bus.topics.HEALTH, 'status', { max: 2 })
+
+      fastClock.tick(20)
+
+      return promise.then((actual) => {
+        expect(actual.map((entry) => entry.value)).to.deep.equal(['first', 'second'])
+        fastClock.tick(10)
+      })
+    })
+
+    it('must be resolved with fewer than "max" responses when the time limit is reached', () => {
+      addResponder('only', 10)
+
+      const promise = bus.requestAll(bus.topics.HEALTH, 'status', { max: 5, timeout: 100 })
+
+      fastClock.tick(100)
+
+      return promise.then((actual) => {
+        expect(actual).to.deep.equal([{ value: 'only', elapsedMs: 10 }])
+      })
+    })
+
+    it('must support the "signal" option', () => {
+      const listeners = []
+      const signal = {
+        aborted: false,
+        addEventListener: (type, fn) => { listeners.push(fn) },
+        removeEventListener: () => {}
+      }
+
+      const promise = bus.requestAll(bus.topics.HEALTH, 'status', { signal: signal })
+
+      listeners.forEach((fn) => { fn() })
+
+      return expect(promise).to.be.rejected.then((err) => {
+        expect(err.name).to.equal('AbortError')
+      })
+    })
+
+    it('must support the "failFast" option', () => {
+      return expect(bus.requestAll(bus.topics.HEALTH, 'status', { failFast: true })).to.be.rejectedWith(T.NoResponderError)
+    })
+  })
+})
@@ -0,0 +1,388 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * The requests published on "USER_DATA", in order.
+   * @type {Array}
+   */
+  let requests = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ requestTTL: 1000 })
+    bus.addTopic({ name: 'USER_DATA', cache: { ttl: 500 } })
+    requests = []
+
+    bus.listen(bus.topics.USER_DATA, (payload) => {
+      requests.push(payload)
+    })
+  })
+
+  afterEach(() => {
+    // don't leave any requests to time out during a later test
+    requests.forEach((payload) => { bus.respond(payload.trackingNo, null) })
+  })
+
+  /**
+   * Responds to the most recent request published on "USER_DATA".
+   *
+   * @param  {any}   answer   The response.
+   *
+   * @return {undefined}
+   */
+  function respondToLatest (answer) {
+    bus.respond(requests[requests.length - 1].trackingNo, answer)
+  }
+
+  it('must have a method called "invalidate"', () => {
+    const expected = 'function'
+    const actual = typeof bus.invalidate
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "addTopic" method', () => {
+    it('must throw an error if the "cache" property is not valid', () => {
+      [true, {}, { ttl: -1 }, { ttl: '500' }, { ttl: 500, key: 'id' }].forEach((cache) => {
+        expect(() => {
+          bus.addTopic({ name: 'PROFILE', cache: cache })
+        }).to.throw(T.InvalidArgumentError, 'The "cache" property of the descriptor for topic "PROFILE" must be a plain object with a non-negative "ttl" (and an optional "key" function).')
+      })
+    })
+
+    it('must clear the cache when the "cache" property is changed', () => {
+      const first = bus.request(bus.topics.USER_DATA, 'query')
+
+      respondToLatest('first')
+
+      return first
+        .then(() => {
+          bus.addTopic({ name: 'USER_DATA', cache: { ttl: 1000 } })
+
+          const second = bus.request(bus.topics.USER_DATA, 'query')
+
+          respondToLatest('second')
+          return second
+        })
+        .then((answer) => {
+          expect(answer).to.equal('second')
+          expect(requests).to.have.lengthOf(2)
+        })
+    })
+
+    it('must stop caching when the "cache" property is set to null', () => {
+      const first = bus.request(bus.topics.USER_DATA, 'query')
+
+      respondToLatest('first')
+
+      return first.then(() => {
+        bus.addTopic({ name: 'USER_DATA', cache: null })
+        bus.request(bus.topics.USER_DATA, 'query')
+        bus.request(bus.topics.USER_DATA, 'query')
+
+        expect(requests).to.have.lengthOf(3)
+      })
+    })
+  })
+
+  describe('the "request" method', () => {
+    it('must resolve with the cached response to an identical query', () => {
+      const first = bus.request(bus.topics.USER_DATA, { id: 42, fields: ['name'] })
+
+      respondToLatest('Alice')
+
+      return first
+        .then(() => bus.request(bus.topics.USER_DATA, { fields: ['name'], id: 42 }))
+        .then((answer) => {
+          expect(answer).to.equal('Alice')
+          expect(requests).to.have.lengthOf(1)
+        })
+    })
+
+    it('must not use the cached response to a different query', () => {
+      const first = bus.request(bus.topics.USER_DATA, { id: 42 })
+
+      respondToLatest('Alice')
+
+      return first.then(() => {
+        bus.request(bus.topics.USER_DATA, { id: 43 })
+
+        expect(requests).to.have.lengthOf(2)
+      })
+    })
+
+    it('must publish a new request once the cached response has expired', () => {
+      const first = bus.request(bus.topics.USER_DATA, 'query')
+
+      respondToLatest('first')
+
+      return first.then(() => {
+        fastClock.tick(500)
+
+        const second = bus.request(bus.topics.USER_DATA, 'query')
+
+        respondToLatest('second')
+
+        return expect(second).to.eventually.equal('second')
+      })
+    })
+
+    it('must combine identical requests that are in progress into one', () => {
+      const first = bus.request(bus.topics.USER_DATA, 'query')
+      const second = bus.request(bus.topics.USER_DATA, 'query')
+
+      expect(requests).to.have.lengthOf(1)
+      respondToLatest('answer')
+
+      return expect(Promise.all([first, second])).to.eventually.deep.equal(['answer', 'answer'])
+    })
+
+    it('must not cache a request that fails', () => {
+      const first = bus.request(bus.topics.USER_DATA, 'query')
+      const second = bus.request(bus.topics.USER_DATA, 'query')
+      const rejected = Promise.all([
+        expect(first).to.be.rejectedWith(T.RequestTimeoutError),
+        expect(second).to.be.rejectedWith(T.RequestTimeoutError)
+      ])
+
+      fastClock.tick(1000)
+
+      return rejected.then(() => {
+        bus.request(bus.topics.USER_DATA, 'query')
+
+        expect(requests).to.have.lengthOf(2)
+      })
+    })
+
+    it('must use the "key" function of the topic', () => {
+      bus.addTopic({ name: 'USER_DATA', cache: { ttl: 500, key: (query) => query.id } })
+
+      const first = bus.request(bus.topics.USER_DATA, { id: 42, verbose: true })
+      const second = bus.request(bus.topics.USER_DATA, { id: 42, verbose: false })
+
+      respondToLatest('Alice')
+
+      return Promise.all([first, second]).then(() => {
+        expect(requests).to.have.lengthOf(1)
+      })
+    })
+
+    it('must be rejected if the "key" function throws an error', () => {
+      const error = new Error('no id')
+
+      bus.addTopic({ name: 'USER_DATA', cache: { ttl: 500, key: () => { throw error } } })
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query')).to.be.rejectedWith(error)
+    })
+
+    it('must be rejected if the query does not pass the validator', () => {
+      bus.addTopic({ name: 'USER_DATA', payload: { type: 'number' } })
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query')).to.be.rejectedWith(T.InvalidArgumentError, 'The query for topic "USER_DATA" is not valid: "query" must be of type number.')
+    })
+
+    it('must be rejected if the "signal" option is not an AbortSignal', () => {
+      return expect(bus.request(bus.topics.USER_DATA, 'query', { signal: 'stop' })).to.be.rejectedWith(T.InvalidArgumentError, 'The "signal" option for "request()" must be an AbortSignal.')
+    })
+
+    it('must be rejected if any of the options are not valid, even with a cached response', () => {
+      const first = bus.request(bus.topics.USER_DATA, 'query')
+
+      respondToLatest('answer')
+
+      return first.then(() => {
+        return Promise.all([
+          expect(bus.request(bus.topics.USER_DATA, 'query', { timeout: -1 })).to.be.rejectedWith(T.InvalidArgumentError, 'The "timeout" option for "request()" must be a non-negative number no larger than 2147483647.'),
+          expect(bus.request(bus.topics.USER_DATA, 'query', { retries: 'lots' })).to.be.rejectedWith(T.InvalidArgumentError, 'The "retries" option for "request()" must be a non-negative integer.'),
+          expect(bus.request(bus.topics.USER_DATA, 'query', { backoff: 5 })).to.be.rejectedWith(T.InvalidArgumentError, 'The "backoff" option for "request()" must be a plain object.')
+        ])
+      })
+    })
+
+    it('must only reject the caller whose signal was aborted', () => {
+      const listeners = []
+      const signal = {
+        aborted: false,
+        addEventListener: (type, fn) => { listeners.push(fn) },
+        removeEventListener: (type, fn) => { listeners.splice(listeners.indexOf(fn), 1) }
+      }
+
+      const first = bus.request(bus.topics.USER_DATA, 'query')
+      const second = bus.request(bus.topics.USER_DATA, 'query', { signal: signal })
+
+      listeners.slice().forEach((fn) => { fn() })
+      respondToLatest('answer')
+
+      return Promise.all([
+        expect(first).to.eventually.equal('answer'),
+        expect(second).to.be.rejected.then((err) => {
+          expect(err.name).to.equal('AbortError')
+        })
+      ])
+    })
+
+    it('must stop watching the signal once the request is finished', () => {
+      const listeners = []
+      const signal = {
+        aborted: false,
+        addEventListener: (type, fn) => { listeners.push(fn) },
+        removeEventListener: (type, fn) => { listeners.splice(listeners.indexOf(fn), 1) }
+      }
+
+      const promise = bus.request(bus.topics.USER_DATA, 'query', { signal: signal })
+
+      respondToLatest('answer')
+
+      return promise.then(() => {
+        expect(listeners).to.have.lengthOf(0)
+      })
+    })
+
+    it('must be rejected right away if the signal has already been aborted', () => {
+      const signal = {
+        aborted: true,
+        addEventListener: () => {},
+        removeEventListener: () => {}
+      }
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query', { signal: signal })).to.be.rejected.then((err) => {
+        expect(err.name).to.equal('AbortError')
+        expect(requests).to.have.lengthOf(0)
+      })
+    })
+
+    it('must not cache requests on topics without the "cache" property', () => {
+      bus.addTopic('PROFILE')
+      bus.listen(bus.topics.PROFILE, (payload) => { requests.push(payload) })
+
+      bus.request(bus.topics.PROFILE, 'query')
+      bus.request(bus.topics.PROFILE, 'query')
+
+      expect(requests).to.have.lengthOf(2)
+    })
+  })
+
+  describe('the "invalidate" method', () => {
+    it('must throw an error if the first parameter is not a member of ".topics"', () => {
+      expect(() => {
+        bus.invalidate('USER_DATA')
+      }).to.throw(T.InvalidTopicError, 'The "topic" parameter for "invalidate()" is required and must be a value from "topics".')
+    })
+
+    it('must remove the cached response to the given query', () => {
+      const first = bus.request(bus.topics.USER_DATA, 'first')
+
+      respondToLatest('first answer')
+
+      const second = first.then(() => {
+        const promise = bus.request(bus.topics.USER_DATA, 'second')
+
+        respondToLatest('second answer')
+        return promise
+      })
+
+      return second.then(() => {
+        bus.invalidate(bus.topics.USER_DATA, 'first')
+
+        bus.request(bus.topics.USER_DATA, 'first')
+        bus.request(bus.topics.USER_DATA, 'second')
+
+        expect(requests.map((payload) => payload.query)).to.deep.equal(['first', 'second', 'first'])
+      })
+    })
+
+    it('must remove every cached response on the topic if the query is omitted', () => {
+      const first = bus.request(bus.topics.USER_DATA, 'first')
+
+      respondToLatest('first answer')
+
+      return first.then(() => {
+        bus.invalidate(bus.topics.USER_DATA)
+        bus.request(bus.topics.USER_DATA, 'first')
+
+        expect(requests).to.have.lengthOf(2)
+      })
+    })
+
+    it('must not cache the response to a request that was in progress', () => {
+      const first = bus.request(bus.topics.USER_DATA, 'query')
+
+      bus.invalidate(bus.topics.USER_DATA, 'query')
+
+      const second = bus.request(bus.topics.USER_DATA, 'query')
+
+      expect(requests).to.have.lengthOf(2)
+
+      bus.respond(requests[0].trackingNo, 'stale')
+      bus.respond(requests[1].trackingNo, 'fresh')
+
+      return Promise.all([first, second]).then((answers) => {
+        expect(answers).to.deep.equal(['stale', 'fresh'])
+
+        return bus.request(bus.topics.USER_DATA, 'query')
+      }).then((answer) => {
+        expect(answer).to.equal('fresh')
+        expect(requests).to.have.lengthOf(2)
+      })
+    })
+
+    it('must do nothing for a topic without the "cache" property', () => {
+      bus.addTopic('PROFILE')
+
+      expect(() => {
+        bus.invalidate(bus.topics.PROFILE, 'query')
+      }).to.not.throw()
+    })
+  })
+
+  describe('the "removeTopic" method', () => {
+    it('must clear the cache for the topic', () => {
+      const first = bus.request(bus.topics.USER_DATA, 'query')
+
+      respondToLatest('first')
+
+      return first.then(() => {
+        bus.removeTopic('USER_DATA')
+        bus.addTopic({ name: 'USER_DATA', cache: { ttl: 500 } })
+        bus.listen(bus.topics.USER_DATA, (payload) => { requests.push(payload) })
+        bus.request(bus.topics.USER_DATA, 'query')
+
+        expect(requests).to.have.lengthOf(2)
+      })
+    })
+  })
+})
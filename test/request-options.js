@@ -0,0 +1,205 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+/**
+ * Returns a minimal stand-in for `AbortController`, which is not available in
+ * every version of Node.js that this module supports.
+ *
+ * @return {Object}
+ */
+function createAbortController () {
+  const listeners = []
+
+  const signal = {
+    aborted: false,
+    addEventListener: (type, fn) => { listeners.push(fn) },
+    removeEventListener: (type, fn) => {
+      if (~listeners.indexOf(fn)) { listeners.splice(listeners.indexOf(fn), 1) }
+    },
+    listenerCount: () => listeners.length
+  }
+
+  return {
+    signal: signal,
+    abort: () => {
+      signal.aborted = true
+      listeners.slice().forEach((fn) => { fn() })
+    }
+  }
+}
+
+describe('the "topico" module', function () {
+  /**
+   * Each test gets a fresh instance, so that the listeners registered for
+   * pending requests can be inspected.
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: 'TEST', requestTTL: 1000 })
+  })
+
+  describe('the "request" method, with options', () => {
+    it('must be rejected if the "timeout" option is not numeric', () => {
+      return expect(bus.request(bus.topics.TEST, 'hello', { timeout: '5s' })).to.be.rejectedWith(TypeError, 'The "timeout" option for "request()" must be numeric.')
+    })
+
+    it('must be rejected if the "timeout" option is negative, not finite, or too large for a timer', () => {
+      return Promise.all([-1, NaN, Infinity, 2147483648].map((timeout) => {
+        return expect(bus.request(bus.topics.TEST, 'hello', { timeout: timeout })).to.be.rejectedWith(T.InvalidArgumentError, 'The "timeout" option for "request()" must be a non-negative number no larger than 2147483647.')
+      }))
+    })
+
+    it('must be rejected if the "signal" option is not an AbortSignal', () => {
+      return expect(bus.request(bus.topics.TEST, 'hello', { signal: {} })).to.be.rejectedWith(TypeError, 'The "signal" option for "request()" must be an AbortSignal.')
+    })
+
+    describe('the "timeout" option', () => {
+      it('must cause the request to time out sooner than "requestTTL"', () => {
+        let rejected = false
+
+        bus.request(bus.topics.TEST, 'hello', { timeout: 100 }).catch(() => { rejected = true })
+
+        fastClock.tick(101)
+
+        return Promise.resolve().then(() => {
+          expect(rejected).to.equal(true)
+        })
+      })
+
+      it('must allow the request to wait longer than "requestTTL"', () => {
+        let trackingNo = null
+
+        bus.listenOnce(bus.topics.TEST, (payload) => { trackingNo = payload.trackingNo })
+
+        const promise = bus.request(bus.topics.TEST, 'hello', { timeout: 5000 })
+
+        fastClock.tick(4000)
+        bus.respond(trackingNo, 'world')
+
+        return expect(promise).to.eventually.equal('world')
+      })
+
+      it('must not affect the "requestTTL" property', () => {
+        bus.request(bus.topics.TEST, 'hello', { timeout: 1 }).catch(() => { /* expected */ })
+        fastClock.runToLast()
+
+        expect(bus.requestTTL).to.equal(1000)
+      })
+    })
+
+    describe('the "signal" option', () => {
+      it('must reject the request with an "AbortError" when the signal is aborted', () => {
+        const controller = createAbortController()
+        const promise = bus.request(bus.topics.TEST, 'hello', { signal: controller.signal })
+
+        controller.abort()
+
+        return promise.then(
+          () => { throw new Error('The promise was not rejected.') },
+          (err) => {
+            expect(err.name).to.equal('AbortError')
+            expect(err.code).to.equal('ABORT_ERR')
+            expect(err.message).to.equal('The request was aborted.')
+          }
+        )
+      })
+
+      it('must remove the listener for the tracking number when the signal is aborted', () => {
+        const controller = createAbortController()
+        let trackingNo = null
+
+        bus.listenOnce(bus.topics.TEST, (payload) => { trackingNo = payload.trackingNo })
+
+        const promise = bus.request(bus.topics.TEST, 'hello', { signal: controller.signal })
+
+        controller.abort()
+        bus.respond(trackingNo, 'too late')
+
+        return expect(promise).to.be.rejected.then(() => {
+          expect(fastClock.countTimers()).to.equal(0)
+        })
+      })
+
+      it('must not publish the request if the signal has already been aborted', () => {
+        const controller = createAbortController()
+        let published = false
+
+        bus.listen(bus.topics.TEST, () => { published = true })
+        controller.abort()
+
+        return expect(bus.request(bus.topics.TEST, 'hello', { signal: controller.signal }))
+          .to.be.rejected
+          .then((err) => {
+            expect(err.name).to.equal('AbortError')
+            expect(published).to.equal(false)
+          })
+      })
+
+      it('must stop listening to the signal once a response is received', () => {
+        const controller = createAbortController()
+
+        bus.listenOnce(bus.topics.TEST, (payload) => { bus.respond(payload.trackingNo, 'world') })
+
+        return bus.request(bus.topics.TEST, 'hello', { signal: controller.signal }).then((answer) => {
+          expect(answer).to.equal('world')
+          expect(controller.signal.listenerCount()).to.equal(0)
+        })
+      })
+
+      it('must stop listening to the signal once the request times out', () => {
+        const controller = createAbortController()
+        const promise = bus.request(bus.topics.TEST, 'hello', { signal: controller.signal })
+
+        fastClock.runToLast()
+
+        return expect(promise).to.be.rejectedWith('No response received within the required time limit.').then(() => {
+          expect(controller.signal.listenerCount()).to.equal(0)
+        })
+      })
+
+      if (typeof global.AbortController === 'function') {
+        it('must work with an instance of AbortController', () => {
+          const controller = new global.AbortController()
+          const promise = bus.request(bus.topics.TEST, 'hello', { signal: controller.signal })
+
+          controller.abort()
+
+          return expect(promise).to.be.rejected.then((err) => {
+            expect(err.name).to.equal('AbortError')
+          })
+        })
+      }
+    })
+  })
+})
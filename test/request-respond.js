@@ -52,6 +52,18 @@ describe('the "topico" module', function () {
           T.requestTTL = 'never'
         }).to.throw()
       })
+
+      it('must not accept values that are negative, not finite, or too large for a timer', () => {
+        const defaultValue = T.requestTTL
+
+        ;[NaN, -1, Infinity].forEach((value) => {
+          expect(() => {
+            T.requestTTL = value
+          }).to.throw(T.InvalidArgumentError, 'The new value for "requestTTL" must be a non-negative number no larger than 2147483647.')
+        })
+
+        expect(T.requestTTL).to.equal(defaultValue)
+      })
     })
 
     it('must have a method called "request"', () => {
@@ -0,0 +1,237 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * The tracking numbers of the requests published on "HEALTH", in order.
+   * @type {Array}
+   */
+  let trackingNumbers = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: 'HEALTH', requestTTL: 100 })
+    trackingNumbers = []
+
+    bus.listen(bus.topics.HEALTH, (payload) => {
+      trackingNumbers.push(payload.trackingNo)
+    })
+  })
+
+  describe('the "request" method', () => {
+    it('must be rejected if the "retries" option is not a non-negative integer', () => {
+      return Promise.all([-1, 1.5, '2'].map((value) => {
+        return expect(bus.request(bus.topics.HEALTH, null, { retries: value })).to.be.rejectedWith(T.InvalidArgumentError, 'The "retries" option for "request()" must be a non-negative integer.')
+      }))
+    })
+
+    it('must be rejected if the "backoff" option is not a plain object', () => {
+      return expect(bus.request(bus.topics.HEALTH, null, { retries: 1, backoff: 100 })).to.be.rejectedWith(T.InvalidArgumentError, 'The "backoff" option for "request()" must be a plain object.')
+    })
+
+    it('must be rejected if any property of the "backoff" option is not valid', () => {
+      return Promise.all([
+        expect(bus.request(bus.topics.HEALTH, null, { backoff: { initial: -1 } })).to.be.rejectedWith(T.InvalidArgumentError, 'The "backoff.initial" option for "request()" must be a non-negative number.'),
+        expect(bus.request(bus.topics.HEALTH, null, { backoff: { factor: '2' } })).to.be.rejectedWith(T.InvalidArgumentError, 'The "backoff.factor" option for "request()" must be a non-negative number.'),
+        expect(bus.request(bus.topics.HEALTH, null, { backoff: { jitter: 1.5 } })).to.be.rejectedWith(T.InvalidArgumentError, 'The "backoff.jitter" option for "request()" must be a number between 0 and 1.')
+      ])
+    })
+
+    it('must try again, with a new tracking number, after an attempt times out', () => {
+      const promise = bus.request(bus.topics.HEALTH, 'status', { retries: 2, backoff: { initial: 50 } })
+
+      fastClock.tick(100)
+      expect(trackingNumbers).to.have.lengthOf(1)
+
+      fastClock.tick(50)
+      expect(trackingNumbers).to.have.lengthOf(2)
+      expect(trackingNumbers[1]).to.not.equal(trackingNumbers[0])
+
+      bus.respond(trackingNumbers[1], 'ok')
+
+      return expect(promise).to.eventually.equal('ok')
+    })
+
+    it('must accept a late response to an earlier attempt', () => {
+      const promise = bus.request(bus.topics.HEALTH, 'status', { retries: 2, backoff: { initial: 50 } })
+
+      fastClock.tick(150)
+      expect(trackingNumbers).to.have.lengthOf(2)
+
+      expect(bus.respond(trackingNumbers[0], 'late')).to.equal(true)
+      expect(bus.respond(trackingNumbers[1], 'on time')).to.equal(false)
+
+      return expect(promise).to.eventually.equal('late')
+    })
+
+    it('must wait longer before each retry, according to the "backoff" option', () => {
+      const promise = bus.request(bus.topics.HEALTH, 'status', { retries: 3, backoff: { initial: 10, factor: 3, max: 50 } })
+      const published = []
+
+      bus.listen(bus.topics.HEALTH, () => { published.push(Date.now()) })
+
+      const start = Date.now()
+
+      fastClock.tick(1000)
+
+      return expect(promise).to.be.rejected.then(() => {
+        expect(published.map((time) => time - start)).to.deep.equal([110, 240, 390])
+      })
+    })
+
+    it('must take a random fraction off of each delay, according to the "jitter" property', () => {
+      const random = Math.random
+
+      Math.random = () => 0.5
+
+      const promise = bus.request(bus.topics.HEALTH, 'status', { retries: 1, backoff: { initial: 100, jitter: 0.5 } })
+      const start = Date.now()
+      let published = null
+
+      bus.listen(bus.topics.HEALTH, () => { published = Date.now() })
+
+      fastClock.tick(1000)
+      Math.random = random
+
+      return expect(promise).to.be.rejected.then(() => {
+        expect(published - start).to.equal(175)
+      })
+    })
+
+    it('must be rejected with an error that lists the outcome of each attempt', () => {
+      const promise = bus.request(bus.topics.HEALTH, 'status', { retries: 2 })
+
+      fastClock.tick(1000)
+
+      return expect(promise).to.be.rejectedWith(T.RetriesExhaustedError, 'The request on topic "HEALTH" failed after 3 attempts.').then((err) => {
+        expect(err).to.be.an.instanceof(T.TopicoError)
+        expect(err.code).to.equal('ERR_RETRIES_EXHAUSTED')
+        expect(err.topic).to.equal('HEALTH')
+        expect(err.query).to.equal('status')
+        expect(err.errors).to.have.lengthOf(3)
+        expect(err.errors.every((item) => item instanceof T.RequestTimeoutError)).to.equal(true)
+        expect(err.errors.map((item) => item.trackingNo)).to.deep.equal(trackingNumbers)
+      })
+    })
+
+    it('must report responses that arrive after the last attempt has failed as "expired"', () => {
+      const events = []
+      const quiet = T.createBus({
+        topics: 'HEALTH',
+        requestTTL: 100,
+        onUnmatchedResponse: (event) => { events.push(event.reason) }
+      })
+
+      quiet.listen(quiet.topics.HEALTH, (payload) => { trackingNumbers.push(payload.trackingNo) })
+
+      const promise = quiet.request(quiet.topics.HEALTH, 'status', { retries: 1 })
+
+      fastClock.tick(1000)
+
+      return expect(promise).to.be.rejectedWith(T.RetriesExhaustedError).then(() => {
+        trackingNumbers.forEach((trackingNo) => { quiet.respond(trackingNo, 'too late') })
+        expect(events).to.deep.equal(['expired', 'expired'])
+      })
+    })
+
+    it('must retry a request that fails because there are no listeners', () => {
+      const quiet = T.createBus({ topics: 'HEALTH', strict: true })
+      const promise = quiet.request(quiet.topics.HEALTH, 'status', { retries: 1, backoff: { initial: 50 } })
+
+      quiet.listen(quiet.topics.HEALTH, (payload) => { quiet.respond(payload.trackingNo, 'ok') })
+      fastClock.tick(50)
+
+      return expect(promise).to.eventually.equal('ok')
+    })
+
+    it('must not retry a request that the responder rejected', () => {
+      const error = new Error('unhealthy')
+      const quiet = T.createBus({ topics: 'HEALTH' })
+      let calls = 0
+
+      quiet.handle(quiet.topics.HEALTH, () => {
+        calls++
+        throw error
+      })
+
+      return expect(quiet.request(quiet.topics.HEALTH, 'status', { retries: 3 })).to.be.rejectedWith(error).then(() => {
+        expect(calls).to.equal(1)
+      })
+    })
+
+    it('must be rejected with the original error if the "retries" option is 0', () => {
+      const promise = bus.request(bus.topics.HEALTH, 'status')
+
+      fastClock.tick(100)
+
+      return expect(promise).to.be.rejectedWith(T.RequestTimeoutError)
+    })
+
+    it('must stop retrying if the signal is aborted in between attempts', () => {
+      const listeners = []
+      const signal = {
+        aborted: false,
+        addEventListener: (type, fn) => { listeners.push(fn) },
+        removeEventListener: (type, fn) => { listeners.splice(listeners.indexOf(fn), 1) }
+      }
+
+      const promise = bus.request(bus.topics.HEALTH, 'status', { retries: 2, backoff: { initial: 50 }, signal: signal })
+
+      fastClock.tick(100)
+      listeners.slice().forEach((fn) => { fn() })
+      fastClock.tick(1000)
+
+      return expect(promise).to.be.rejected.then((err) => {
+        expect(err.name).to.equal('AbortError')
+        expect(trackingNumbers).to.have.lengthOf(1)
+        expect(listeners).to.have.lengthOf(0)
+      })
+    })
+
+    it('must be rejected if the topic is removed in between attempts', () => {
+      const promise = bus.request(bus.topics.HEALTH, 'status', { retries: 2, backoff: { initial: 50 } })
+
+      fastClock.tick(100)
+      bus.removeTopic('HEALTH')
+      fastClock.tick(50)
+
+      return expect(promise).to.be.rejectedWith(T.TopicoError).then((err) => {
+        expect(err.code).to.equal('ERR_TOPIC_REMOVED')
+        expect(trackingNumbers).to.have.lengthOf(1)
+      })
+    })
+  })
+})
@@ -0,0 +1,298 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  /**
+   * The tracking number of the most recent request published on "SEARCH".
+   * @type {String}
+   */
+  let trackingNo = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: 'SEARCH', requestTTL: 1000 })
+    trackingNo = null
+
+    bus.listen(bus.topics.SEARCH, (payload) => {
+      trackingNo = payload.trackingNo
+    })
+  })
+
+  /**
+   * Reads everything from the given iterator, and returns a promise for the
+   * list of values.
+   *
+   * @param  {Object}   iterator   The async iterator to read from.
+   *
+   * @return {Promise}
+   */
+  function collect (iterator) {
+    const values = []
+
+    const readNext = () => {
+      return iterator.next().then((result) => {
+        if (result.done) {
+          return values
+        }
+
+        values.push(result.value)
+        return readNext()
+      })
+    }
+
+    return readNext()
+  }
+
+  it('must have a method called "requestStream"', () => {
+    const expected = 'function'
+    const actual = typeof bus.requestStream
+
+    expect(actual).to.equal(expected)
+  })
+
+  it('must have functions for streaming responses attached to "respond"', () => {
+    expect(bus.respond.next).to.be.a('function')
+    expect(bus.respond.end).to.be.a('function')
+    expect(bus.respond.error).to.be.a('function')
+  })
+
+  describe('the "requestStream" method', () => {
+    it('must throw an error if the first parameter is not a member of ".topics"', () => {
+      expect(() => {
+        bus.requestStream('topic')
+      }).to.throw(TypeError, 'The "topic" parameter for "requestStream()" is required and must be a value from "topics".')
+    })
+
+    it('must return an async iterable', () => {
+      const stream = bus.requestStream(bus.topics.SEARCH, 'query')
+
+      expect(stream[Symbol.asyncIterator]()).to.equal(stream)
+      stream.return()
+    })
+
+    it('must yield each chunk, in order, until the response is ended', () => {
+      const stream = bus.requestStream(bus.topics.SEARCH, 'query')
+
+      bus.respond.next(trackingNo, 'page 1')
+      bus.respond.next(trackingNo, 'page 2')
+      bus.respond.end(trackingNo)
+
+      return expect(collect(stream)).to.eventually.deep.equal(['page 1', 'page 2'])
+    })
+
+    it('must yield chunks that arrive while the consumer is waiting', () => {
+      const stream = bus.requestStream(bus.topics.SEARCH, 'query')
+      const promise = collect(stream)
+
+      fastClock.setTimeout(() => { bus.respond.next(trackingNo, 'page 1') }, 10)
+      fastClock.setTimeout(() => { bus.respond.end(trackingNo) }, 20)
+      fastClock.tick(20)
+
+      return expect(promise).to.eventually.deep.equal(['page 1'])
+    })
+
+    it('must treat a single call to "respond" as the last chunk', () => {
+      const stream = bus.requestStream(bus.topics.SEARCH, 'query')
+
+      bus.respond.next(trackingNo, 'page 1')
+      bus.respond(trackingNo, 'page 2')
+
+      return expect(collect(stream)).to.eventually.deep.equal(['page 1', 'page 2'])
+    })
+
+    it('must fail with the error sent via "respond.error", after the preceding chunks', () => {
+      const stream = bus.requestStream(bus.topics.SEARCH, 'query')
+      const error = new Error('index unavailable')
+
+      bus.respond.next(trackingNo, 'page 1')
+      bus.respond.error(trackingNo, error)
+
+      return stream.next()
+        .then((result) => {
+          expect(result).to.deep.equal({ value: 'page 1', done: false })
+          return expect(stream.next()).to.be.rejectedWith(error)
+        })
+        .then(() => {
+          return expect(stream.next()).to.eventually.deep.equal({ value: undefined, done: true })
+        })
+    })
+
+    it('must fail, rather than end, when "respond.error" is called without an error', () => {
+      const stream = bus.requestStream(bus.topics.SEARCH, 'query')
+      let failed = false
+
+      bus.respond.next(trackingNo, 'page 1')
+      bus.respond.error(trackingNo)
+
+      return collect(stream)
+        .then(null, (err) => {
+          failed = true
+          expect(err).to.equal(undefined)
+        })
+        .then(() => {
+          expect(failed).to.equal(true)
+        })
+    })
+
+    it('must fail if no chunk is received within the time limit', () => {
+      const stream = bus.requestStream(bus.topics.SEARCH, 'query', { timeout: 100 })
+      const promise = collect(stream)
+
+      fastClock.tick(100)
+
+      return expect(promise).to.be.rejectedWith(Error, 'No response received within the required time limit.')
+    })
+
+    it('must restart the time limit each time a chunk is received', () => {
+      const stream = bus.requestStream(bus.topics.SEARCH, 'query', { timeout: 100 })
+      const promise = collect(stream)
+
+      fastClock.setTimeout(() => { bus.respond.next(trackingNo, 'page 1') }, 80)
+      fastClock.setTimeout(() => { bus.respond.next(trackingNo, 'page 2') }, 160)
+      fastClock.setTimeout(() => { bus.respond.end(trackingNo) }, 240)
+      fastClock.tick(240)
+
+      return expect(promise).to.eventually.deep.equal(['page 1', 'page 2'])
+    })
+
+    it('must stop the request when the consumer stops iterating', () => {
+      const stream = bus.requestStream(bus.topics.SEARCH, 'query', { timeout: 100 })
+
+      bus.respond.next(trackingNo, 'page 1')
+
+      return stream.next()
+        .then((result) => {
+          expect(result.value).to.equal('page 1')
+          return stream.return()
+        })
+        .then((result) => {
+          expect(result).to.deep.equal({ value: undefined, done: true })
+
+          bus.respond.next(trackingNo, 'page 2')
+          fastClock.tick(100)
+
+          return expect(stream.next()).to.eventually.deep.equal({ value: undefined, done: true })
+        })
+    })
+
+    it('must stop the request when the consumer stops before any chunk is received', () => {
+      const stream = bus.requestStream(bus.topics.SEARCH, 'query', { timeout: 100 })
+      const waiting = stream.next()
+
+      stream.return()
+      fastClock.tick(100)
+
+      return expect(waiting).to.eventually.deep.equal({ value: undefined, done: true })
+    })
+
+    it('must support the "signal" option', () => {
+      const signal = {
+        aborted: true,
+        addEventListener: () => {},
+        removeEventListener: () => {}
+      }
+      const stream = bus.requestStream(bus.topics.SEARCH, 'query', { signal: signal })
+
+      return expect(stream.next()).to.be.rejected.then((err) => {
+        expect(err.name).to.equal('AbortError')
+        expect(trackingNo).to.equal(null)
+      })
+    })
+
+    it('must support the "failFast" option', () => {
+      const quiet = T.createBus({ topics: 'SEARCH' })
+      const stream = quiet.requestStream(quiet.topics.SEARCH, 'query', { failFast: true })
+
+      return expect(stream.next()).to.be.rejectedWith(T.NoResponderError)
+    })
+
+    it('must check each chunk against the "response" validator for the topic', () => {
+      bus.addTopic({ name: 'LOOKUP', response: { type: 'string' } })
+      bus.listen(bus.topics.LOOKUP, (payload) => {
+        trackingNo = payload.trackingNo
+      })
+
+      const stream = bus.requestStream(bus.topics.LOOKUP, 'query')
+
+      expect(() => {
+        bus.respond.next(trackingNo, 42)
+      }).to.throw(TypeError, 'The response for topic "LOOKUP" is not valid: "response" must be of type string.')
+
+      stream.return()
+    })
+  })
+
+  describe('the "request" method', () => {
+    it('must be resolved with the first chunk of a streaming response', () => {
+      const promise = bus.request(bus.topics.SEARCH, 'query')
+
+      bus.respond.next(trackingNo, 'page 1')
+      bus.respond.next(trackingNo, 'page 2')
+
+      return expect(promise).to.eventually.equal('page 1')
+    })
+
+    it('must be rejected with the error sent via "respond.error"', () => {
+      const promise = bus.request(bus.topics.SEARCH, 'query')
+      const error = new Error('index unavailable')
+
+      bus.respond.error(trackingNo, error)
+
+      return expect(promise).to.be.rejectedWith(error)
+    })
+  })
+
+  describe('the "requestAll" method', () => {
+    it('must collect each chunk and each error sent via "respond.error"', () => {
+      const promise = bus.requestAll(bus.topics.SEARCH, 'query', { timeout: 100 })
+
+      bus.respond.next(trackingNo, 'page 1')
+      bus.respond.error(trackingNo, new Error('index unavailable'))
+      bus.respond.end(trackingNo)
+      bus.respond(trackingNo, 'page 2')
+
+      fastClock.tick(100)
+
+      return promise.then((actual) => {
+        expect(actual).to.have.lengthOf(3)
+        expect(actual[0].value).to.equal('page 1')
+        expect(actual[1].error.message).to.equal('index unavailable')
+        expect(actual[1]).to.not.have.property('value')
+        expect(actual[2].value).to.equal('page 2')
+      })
+    })
+  })
+})
@@ -0,0 +1,158 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: 'USER_DATA', requestTTL: 1000 })
+  })
+
+  it('must have a method called "respondError"', () => {
+    const expected = 'function'
+    const actual = typeof bus.respondError
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "respondError" method', () => {
+    it('must reject the matching request with the same error', () => {
+      const error = new Error('database unavailable')
+
+      bus.listen(bus.topics.USER_DATA, (payload) => {
+        bus.respondError(payload.trackingNo, error)
+      })
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query')).to.be.rejectedWith(error)
+    })
+
+    it('must attach the topic and tracking number to the error', () => {
+      let trackingNo = null
+
+      bus.listen(bus.topics.USER_DATA, (payload) => {
+        trackingNo = payload.trackingNo
+        bus.respondError(payload.trackingNo, new Error('database unavailable'))
+      })
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query')).to.be.rejected.then((err) => {
+        expect(err.topic).to.equal('USER_DATA')
+        expect(err.trackingNo).to.equal(trackingNo)
+      })
+    })
+
+    it('must not replace a topic or tracking number that the error already has', () => {
+      const error = new T.NoResponderError('OTHER', 'abc')
+
+      bus.listen(bus.topics.USER_DATA, (payload) => {
+        bus.respondError(payload.trackingNo, error)
+      })
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query')).to.be.rejected.then((err) => {
+        expect(err.topic).to.equal('OTHER')
+        expect(err.trackingNo).to.equal('abc')
+      })
+    })
+
+    it('must reject the request with an error that cannot be extended, as-is', () => {
+      bus.listen(bus.topics.USER_DATA, (payload) => {
+        bus.respondError(payload.trackingNo, 'database unavailable')
+      })
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query')).to.be.rejected.then((err) => {
+        expect(err).to.equal('database unavailable')
+      })
+    })
+
+    it('must ignore an error for a request that is no longer pending', () => {
+      let trackingNo = null
+
+      bus.listen(bus.topics.USER_DATA, (payload) => {
+        trackingNo = payload.trackingNo
+        bus.respond(payload.trackingNo, 'answer')
+      })
+
+      return bus.request(bus.topics.USER_DATA, 'query').then((answer) => {
+        expect(answer).to.equal('answer')
+        expect(() => {
+          bus.respondError(trackingNo, new Error('too late'))
+        }).to.not.throw()
+      })
+    })
+  })
+
+  describe('the "request" method', () => {
+    it('must be rejected if the listener returns a rejected promise', () => {
+      const error = new Error('database unavailable')
+
+      bus.listen(bus.topics.USER_DATA, () => Promise.reject(error))
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query')).to.be.rejectedWith(error).then((err) => {
+        expect(err.topic).to.equal('USER_DATA')
+      })
+    })
+
+    it('must not republish the rejection on the "ERROR" topic', () => {
+      const reported = []
+
+      bus.listen(bus.topics.ERROR, (envelope) => { reported.push(envelope) })
+      bus.listen(bus.topics.USER_DATA, () => Promise.reject(new Error('database unavailable')))
+
+      return expect(bus.request(bus.topics.USER_DATA, 'query')).to.be.rejected.then(() => {
+        expect(reported).to.deep.equal([])
+      })
+    })
+
+    it('must republish the rejection on the "ERROR" topic if the request is no longer pending', () => {
+      const error = new Error('database unavailable')
+      const reported = []
+      let fail = null
+
+      bus.listen(bus.topics.ERROR, (envelope) => { reported.push(envelope) })
+      bus.listen(bus.topics.USER_DATA, (payload) => {
+        bus.respond(payload.trackingNo, 'answer')
+        return new Promise((resolve, reject) => { fail = reject })
+      })
+
+      return bus.request(bus.topics.USER_DATA, 'query')
+        .then(() => {
+          fail(error)
+          return Promise.resolve()
+        })
+        .then(() => {
+          expect(reported.map((envelope) => envelope.error)).to.deep.equal([error])
+        })
+    })
+  })
+})
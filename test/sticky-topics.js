@@ -0,0 +1,242 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: [{ name: 'SESSION', sticky: true }, 'CLICKS'] })
+  })
+
+  /**
+   * Returns a promise that is fulfilled after any sticky values have been
+   * replayed.
+   *
+   * @return {Promise}
+   */
+  function replayed () {
+    return new Promise((resolve) => { process.nextTick(resolve) })
+  }
+
+  it('must have methods called "peek" and "clearSticky"', () => {
+    expect(bus.peek).to.be.a('function')
+    expect(bus.clearSticky).to.be.a('function')
+  })
+
+  describe('the "addTopic" method', () => {
+    it('must throw an error if the "sticky" property is not valid', () => {
+      ['yes', { maxAge: -1 }, { maxAge: '1 hour' }].forEach((sticky) => {
+        expect(() => {
+          bus.addTopic({ name: 'CONFIG', sticky: sticky })
+        }).to.throw(T.InvalidArgumentError, 'The "sticky" property of the descriptor for topic "CONFIG" must be either a boolean or a plain object with a non-negative "maxAge".')
+      })
+    })
+
+    it('must forget the sticky value when "sticky" is set to false', () => {
+      bus.say(bus.topics.SESSION, 'alice')
+      bus.addTopic({ name: 'SESSION', sticky: false })
+
+      expect(bus.peek(bus.topics.SESSION)).to.equal(undefined)
+    })
+
+    it('must keep the sticky value when the "maxAge" is changed', () => {
+      bus.say(bus.topics.SESSION, 'alice')
+      bus.addTopic({ name: 'SESSION', sticky: { maxAge: 1000 } })
+
+      expect(bus.peek(bus.topics.SESSION)).to.equal('alice')
+    })
+  })
+
+  describe('the "listen" method', () => {
+    it('must call a new listener with the last payload, asynchronously', () => {
+      const received = []
+
+      bus.say(bus.topics.SESSION, 'alice')
+      bus.say(bus.topics.SESSION, 'bob')
+      bus.listen(bus.topics.SESSION, (payload) => { received.push(payload) })
+
+      expect(received).to.deep.equal([])
+
+      return replayed().then(() => {
+        expect(received).to.deep.equal(['bob'])
+      })
+    })
+
+    it('must not replay anything if nothing has been published', () => {
+      const received = []
+
+      bus.listen(bus.topics.SESSION, (payload) => { received.push(payload) })
+
+      return replayed().then(() => {
+        expect(received).to.deep.equal([])
+      })
+    })
+
+    it('must not replay anything on a topic that is not sticky', () => {
+      const received = []
+
+      bus.say(bus.topics.CLICKS, 'button')
+      bus.listen(bus.topics.CLICKS, (payload) => { received.push(payload) })
+
+      return replayed().then(() => {
+        expect(received).to.deep.equal([])
+      })
+    })
+
+    it('must not replay the last payload if something newer is published first', () => {
+      const received = []
+
+      bus.say(bus.topics.SESSION, 'alice')
+      bus.listen(bus.topics.SESSION, (payload) => { received.push(payload) })
+      bus.say(bus.topics.SESSION, 'bob')
+
+      return replayed().then(() => {
+        expect(received).to.deep.equal(['bob'])
+      })
+    })
+
+    it('must not replay the last payload to a listener that has already been removed', () => {
+      const received = []
+
+      bus.say(bus.topics.SESSION, 'alice')
+      bus.listen(bus.topics.SESSION, (payload) => { received.push(payload) }).unsubscribe()
+
+      return replayed().then(() => {
+        expect(received).to.deep.equal([])
+      })
+    })
+
+    it('must republish an error thrown by the listener during the replay on the "ERROR" topic', () => {
+      const error = new Error('listener failed')
+      const reported = []
+
+      bus.listen(bus.topics.ERROR, (envelope) => { reported.push(envelope) })
+      bus.say(bus.topics.SESSION, 'alice')
+      bus.listen(bus.topics.SESSION, () => { throw error })
+
+      return replayed().then(() => {
+        expect(reported.map((envelope) => envelope.error)).to.deep.equal([error])
+        expect(reported[0].payload).to.equal('alice')
+      })
+    })
+  })
+
+  describe('the "listenOnce" method', () => {
+    it('must call a new listener with the last payload, and then remove it', () => {
+      const received = []
+
+      bus.say(bus.topics.SESSION, 'alice')
+      bus.listenOnce(bus.topics.SESSION, (payload) => { received.push(payload) })
+
+      return replayed().then(() => {
+        bus.say(bus.topics.SESSION, 'bob')
+
+        expect(received).to.deep.equal(['alice'])
+      })
+    })
+  })
+
+  describe('the "peek" method', () => {
+    it('must throw an error if the first parameter is not a member of ".topics"', () => {
+      expect(() => {
+        bus.peek('SESSION')
+      }).to.throw(T.InvalidTopicError, 'The "topic" parameter for "peek()" is required and must be a value from "topics".')
+    })
+
+    it('must return the last payload published on a sticky topic', () => {
+      bus.say(bus.topics.SESSION, { user: 'alice' })
+
+      expect(bus.peek(bus.topics.SESSION)).to.deep.equal({ user: 'alice' })
+    })
+
+    it('must return undefined for a topic that is not sticky', () => {
+      bus.say(bus.topics.CLICKS, 'button')
+
+      expect(bus.peek(bus.topics.CLICKS)).to.equal(undefined)
+    })
+
+    it('must return undefined once the sticky value has expired', () => {
+      bus.addTopic({ name: 'CONFIG', sticky: { maxAge: 1000 } })
+      bus.say(bus.topics.CONFIG, 'dark mode')
+
+      fastClock.tick(999)
+      expect(bus.peek(bus.topics.CONFIG)).to.equal('dark mode')
+
+      fastClock.tick(1)
+      expect(bus.peek(bus.topics.CONFIG)).to.equal(undefined)
+    })
+  })
+
+  describe('the "clearSticky" method', () => {
+    it('must throw an error if the first parameter is not a member of ".topics"', () => {
+      expect(() => {
+        bus.clearSticky('SESSION')
+      }).to.throw(T.InvalidTopicError, 'The "topic" parameter for "clearSticky()" is required and must be a value from "topics".')
+    })
+
+    it('must stop the last payload from being replayed', () => {
+      const received = []
+
+      bus.say(bus.topics.SESSION, 'alice')
+      bus.clearSticky(bus.topics.SESSION)
+      bus.listen(bus.topics.SESSION, (payload) => { received.push(payload) })
+
+      expect(bus.peek(bus.topics.SESSION)).to.equal(undefined)
+
+      return replayed().then(() => {
+        expect(received).to.deep.equal([])
+      })
+    })
+  })
+
+  describe('the "removeTopic" method', () => {
+    it('must forget the sticky value', () => {
+      bus.say(bus.topics.SESSION, 'alice')
+      bus.removeTopic('SESSION')
+      bus.addTopic({ name: 'SESSION', sticky: true })
+
+      expect(bus.peek(bus.topics.SESSION)).to.equal(undefined)
+    })
+  })
+
+  describe('the "request" method', () => {
+    it('must not make the request sticky', () => {
+      bus.request(bus.topics.SESSION, 'who?', { timeout: 10 }).catch(() => {})
+
+      expect(bus.peek(bus.topics.SESSION)).to.equal(undefined)
+      fastClock.tick(10)
+    })
+  })
+})
@@ -0,0 +1,221 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  beforeEach(() => {
+    bus = T.createBus({ topics: 'TICKS' })
+  })
+
+  /**
+   * Returns a promise for every value produced by the iterator.
+   *
+   * @param  {Object}   iterator   An async iterator that is about to end.
+   *
+   * @return {Promise}
+   */
+  async function collect (iterator) {
+    const values = []
+
+    for await (const value of iterator) {
+      values.push(value)
+    }
+
+    return values
+  }
+
+  it('must have a method called "stream"', () => {
+    const expected = 'function'
+    const actual = typeof bus.stream
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "stream" method', () => {
+    it('must throw an error if the first parameter is not a member of ".topics"', () => {
+      expect(() => {
+        bus.stream('TICKS')
+      }).to.throw(T.InvalidTopicError, 'The "topic" parameter for "stream()" is required and must be a value from "topics".')
+    })
+
+    it('must throw an error if the "options" parameter is not a plain object', () => {
+      expect(() => {
+        bus.stream(bus.topics.TICKS, 10)
+      }).to.throw(T.InvalidArgumentError, 'The "options" parameter for "stream()" must be a plain object.')
+    })
+
+    it('must throw an error if the "bufferSize" option is not a positive integer', () => {
+      expect(() => {
+        bus.stream(bus.topics.TICKS, { bufferSize: 0 })
+      }).to.throw(T.InvalidArgumentError, 'The "bufferSize" option for "stream()" must be a positive integer.')
+    })
+
+    it('must throw an error if the "overflow" option is not a known strategy', () => {
+      expect(() => {
+        bus.stream(bus.topics.TICKS, { overflow: 'block' })
+      }).to.throw(T.InvalidArgumentError, 'The "overflow" option for "stream()" must be one of "drop-oldest", "drop-newest", or "error".')
+    })
+
+    it('must return an async iterator', () => {
+      const stream = bus.stream(bus.topics.TICKS)
+
+      expect(stream[Symbol.asyncIterator]()).to.equal(stream)
+
+      return stream.return()
+    })
+
+    it('must produce each payload published with "say", in order', () => {
+      const stream = bus.stream(bus.topics.TICKS)
+      const first = stream.next()
+
+      bus.say(bus.topics.TICKS, 1)
+      bus.say(bus.topics.TICKS, 2)
+
+      return first
+        .then((result) => {
+          expect(result).to.deep.equal({ value: 1, done: false })
+          return stream.next()
+        })
+        .then((result) => {
+          expect(result).to.deep.equal({ value: 2, done: false })
+          return stream.return()
+        })
+    })
+
+    it('must remove the subscription when the consumer breaks out of the loop', async () => {
+      const received = []
+      const stream = bus.stream(bus.topics.TICKS)
+
+      bus.say(bus.topics.TICKS, 1)
+      bus.say(bus.topics.TICKS, 2)
+
+      for await (const value of stream) {
+        received.push(value)
+        break
+      }
+
+      bus.say(bus.topics.TICKS, 3)
+
+      expect(received).to.deep.equal([1])
+      expect(await stream.next()).to.deep.equal({ value: undefined, done: true })
+    })
+
+    it('must drop the oldest payloads with the "drop-oldest" strategy', () => {
+      const stream = bus.stream(bus.topics.TICKS, { bufferSize: 2, overflow: 'drop-oldest' })
+
+      ;[1, 2, 3, 4].forEach((value) => { bus.say(bus.topics.TICKS, value) })
+
+      return Promise.all([stream.next(), stream.next()]).then((results) => {
+        expect(results.map((result) => result.value)).to.deep.equal([3, 4])
+        return stream.return()
+      })
+    })
+
+    it('must drop the newest payloads with the "drop-newest" strategy', () => {
+      const stream = bus.stream(bus.topics.TICKS, { bufferSize: 2, overflow: 'drop-newest' })
+
+      ;[1, 2, 3, 4].forEach((value) => { bus.say(bus.topics.TICKS, value) })
+
+      return Promise.all([stream.next(), stream.next()]).then((results) => {
+        expect(results.map((result) => result.value)).to.deep.equal([1, 2])
+
+        bus.say(bus.topics.TICKS, 5)
+        return stream.next()
+      }).then((result) => {
+        expect(result.value).to.equal(5)
+        return stream.return()
+      })
+    })
+
+    it('must throw a "StreamOverflowError" after the buffered payloads with the "error" strategy', () => {
+      const stream = bus.stream(bus.topics.TICKS, { bufferSize: 2 })
+
+      ;[1, 2, 3].forEach((value) => { bus.say(bus.topics.TICKS, value) })
+
+      return expect(collect(stream)).to.be.rejectedWith(T.StreamOverflowError, 'The stream for topic "TICKS" fell more than 2 payloads behind.').then((err) => {
+        expect(err.code).to.equal('ERR_STREAM_OVERFLOW')
+        expect(err.topic).to.equal('TICKS')
+        expect(err.bufferSize).to.equal(2)
+      })
+    })
+
+    it('must remove the subscription when the buffer overflows with the "error" strategy', () => {
+      const stream = bus.stream(bus.topics.TICKS, { bufferSize: 1 })
+
+      bus.say(bus.topics.TICKS, 1)
+      bus.say(bus.topics.TICKS, 2)
+
+      return expect(bus.request(bus.topics.TICKS, 'query', { failFast: true })).to.be.rejectedWith(T.NoResponderError).then(() => {
+        return expect(collect(stream)).to.be.rejectedWith(T.StreamOverflowError)
+      })
+    })
+
+    it('must not count payloads that were handed straight to a waiting consumer', () => {
+      const stream = bus.stream(bus.topics.TICKS, { bufferSize: 1 })
+      const first = stream.next()
+
+      bus.say(bus.topics.TICKS, 1)
+      bus.say(bus.topics.TICKS, 2)
+
+      return Promise.all([first, stream.next()]).then((results) => {
+        expect(results.map((result) => result.value)).to.deep.equal([1, 2])
+        return stream.return()
+      })
+    })
+
+    it('must end after the buffered payloads when "cancel" is called', () => {
+      const stream = bus.stream(bus.topics.TICKS)
+
+      bus.say(bus.topics.TICKS, 1)
+      bus.cancel(bus.topics.TICKS)
+      bus.say(bus.topics.TICKS, 2)
+
+      return expect(collect(stream)).to.eventually.deep.equal([1])
+    })
+
+    it('must end a consumer that is already waiting when "cancelAll" is called', () => {
+      const stream = bus.stream(bus.topics.TICKS)
+      const pending = stream.next()
+
+      bus.cancelAll()
+
+      return expect(pending).to.eventually.deep.equal({ value: undefined, done: true })
+    })
+
+    it('must throw an error after the buffered payloads when the topic is removed', () => {
+      const stream = bus.stream(bus.topics.TICKS)
+      const received = []
+
+      bus.say(bus.topics.TICKS, 1)
+      bus.removeTopic('TICKS')
+
+      const consume = async () => {
+        for await (const value of stream) {
+          received.push(value)
+        }
+      }
+
+      return expect(consume()).to.be.rejectedWith(T.TopicoError, 'The topic "TICKS" was removed while it was being streamed.').then((err) => {
+        expect(err.code).to.equal('ERR_TOPIC_REMOVED')
+        expect(err.topic).to.equal('TICKS')
+        expect(received).to.deep.equal([1])
+      })
+    })
+  })
+})
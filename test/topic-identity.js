@@ -0,0 +1,131 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const vm = require('vm')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+/**
+ * Returns a separate copy of the code under test, as if it had been installed
+ * more than once (for example, as a dependency of two different packages).
+ *
+ * @return {Object}
+ */
+function loadSeparateCopy () {
+  const paths = [
+    require.resolve('../index.js'),
+    require.resolve('../lib/schema.js')
+  ]
+
+  const cached = paths.map((path) => { return require.cache[path] })
+
+  paths.forEach((path) => { delete require.cache[path] })
+
+  const copy = require('../index.js')
+
+  paths.forEach((path, i) => { require.cache[path] = cached[i] })
+
+  return copy
+}
+
+describe('the "topico" module', function () {
+  afterEach(() => {
+    T.cancelAll()
+  })
+
+  describe('the validation of topics', () => {
+    const ERR_INVALID_TOPIC = 'The "topic" parameter for "say()" is required and must be a value from "topics".'
+
+    it('must not accept a look-alike Symbol', () => {
+      expect(() => {
+        T.say(Symbol('INFO'))
+      }).to.throw(TypeError, ERR_INVALID_TOPIC)
+    })
+
+    it('must not accept a look-alike Symbol from the global registry', () => {
+      expect(() => {
+        T.say(Symbol.for('INFO'))
+      }).to.throw(TypeError, ERR_INVALID_TOPIC)
+    })
+
+    it('must not accept an object whose string representation matches', () => {
+      expect(() => {
+        T.say({ toString: () => 'Symbol(INFO)' })
+      }).to.throw(TypeError, ERR_INVALID_TOPIC)
+    })
+
+    it('must not accept a topic from a separate copy of the module', () => {
+      const copy = loadSeparateCopy()
+
+      expect(copy).to.not.equal(T)
+
+      expect(() => {
+        T.say(copy.topics.INFO)
+      }).to.throw(TypeError, ERR_INVALID_TOPIC)
+    })
+
+    it('must not accept a topic once it has been removed, even if it is added again', () => {
+      const bus = T.createBus({ topics: 'SESSION' })
+      const original = bus.topics.SESSION
+
+      bus.removeTopic('SESSION')
+      bus.addTopic('SESSION')
+
+      expect(bus.topics.SESSION).to.not.equal(original)
+
+      expect(() => {
+        bus.say(original)
+      }).to.throw(TypeError, ERR_INVALID_TOPIC)
+    })
+  })
+
+  describe('the "namespace" option of "createBus"', () => {
+    it('must throw an error if it is not a non-empty string', () => {
+      [42, '', {}].forEach((value) => {
+        expect(() => {
+          T.createBus({ namespace: value })
+        }).to.throw(TypeError, 'The "namespace" option must be a non-empty string.')
+      })
+    })
+
+    it('must cause instances with the same namespace to share topics', (done) => {
+      const first = T.createBus({ namespace: 'shared-test', topics: 'USER.LOGIN' })
+      const second = loadSeparateCopy().createBus({ namespace: 'shared-test', topics: 'USER.LOGIN' })
+
+      expect(second.topics.USER.LOGIN).to.equal(first.topics.USER.LOGIN)
+
+      second.listenOnce(first.topics.USER.LOGIN, () => { done() })
+      second.say(first.topics.USER.LOGIN)
+    })
+
+    it('must use values from the global Symbol registry, so that they can be shared across realms', () => {
+      const bus = T.createBus({ namespace: 'realm-test' })
+      const fromOtherRealm = vm.runInNewContext('Symbol.for("topico:realm-test:INFO")')
+
+      expect(fromOtherRealm).to.equal(bus.topics.INFO)
+
+      expect(() => {
+        bus.say(fromOtherRealm)
+      }).to.not.throw()
+    })
+
+    it('must not cause instances with different namespaces to share topics', () => {
+      const first = T.createBus({ namespace: 'first' })
+      const second = T.createBus({ namespace: 'second' })
+
+      expect(() => {
+        second.say(first.topics.INFO)
+      }).to.throw(TypeError)
+    })
+  })
+})
@@ -0,0 +1,256 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const debugModule = require('debug')
+const format = require('util').format
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * Each test gets a fresh instance, since topics cannot be removed once added.
+   * @type {Object}
+   */
+  let bus = null
+
+  beforeEach(() => {
+    bus = T.createBus()
+  })
+
+  it('must have a method called "describeTopics"', () => {
+    const expected = 'function'
+    const actual = typeof bus.describeTopics
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "describeTopics" method', () => {
+    it('must describe the default topics', () => {
+      const actual = bus.describeTopics()
+
+      expect(actual.map((entry) => entry.name)).to.deep.equal(['INFO', 'ERROR', 'CIRCUIT'])
+      expect(actual[0].description).to.be.a('string')
+      expect(actual[1].description).to.be.a('string')
+      expect(actual[2].description).to.be.a('string')
+    })
+
+    it('must describe a topic that was added by name only', () => {
+      bus.addTopic('session')
+
+      const actual = bus.describeTopics()[3]
+
+      expect(actual).to.deep.equal({
+        name: 'SESSION',
+        description: null,
+        owner: null,
+        deprecated: false,
+        since: null,
+        payload: null,
+        response: null,
+        dispatch: null,
+        cache: null,
+        circuitBreaker: null,
+        sticky: null,
+        history: null
+      })
+    })
+
+    it('must describe a topic that was added with a descriptor', () => {
+      const check = () => true
+
+      bus.addTopic({
+        name: 'user.login',
+        description: 'A user has logged in.',
+        owner: 'identity team',
+        deprecated: 'Use USER.SIGN_IN instead.',
+        since: '1.3.0',
+        payload: { type: 'object', required: ['userId'] },
+        response: check
+      })
+
+      const actual = bus.describeTopics()[3]
+
+      expect(actual).to.deep.equal({
+        name: 'USER.LOGIN',
+        description: 'A user has logged in.',
+        owner: 'identity team',
+        deprecated: 'Use USER.SIGN_IN instead.',
+        since: '1.3.0',
+        payload: { validator: 'schema', schema: { type: 'object', required: ['userId'] } },
+        response: { validator: 'function' },
+        dispatch: null,
+        cache: null,
+        circuitBreaker: null,
+        sticky: null,
+        history: null
+      })
+    })
+
+    it('must describe the request and delivery settings of a topic', () => {
+      bus.addTopic({
+        name: 'STATUS',
+        dispatch: 'round-robin',
+        cache: { ttl: 500, key: (query) => String(query) },
+        circuitBreaker: { threshold: 3 },
+        sticky: true,
+        history: { size: 10 }
+      })
+
+      const actual = bus.describeTopics()[3]
+
+      expect(actual).to.deep.include({
+        dispatch: 'round-robin',
+        cache: { ttl: 500 },
+        circuitBreaker: { threshold: 3, coolDown: 30000 },
+        sticky: { maxAge: null },
+        history: { size: 10, maxAge: null }
+      })
+    })
+
+    it('must return a copy of the settings', () => {
+      bus.addTopic({ name: 'STATUS', circuitBreaker: { threshold: 3 }, history: { size: 10 } })
+
+      const described = bus.describeTopics()[3]
+
+      described.circuitBreaker.threshold = 1
+      described.history.size = 1
+
+      expect(bus.describeTopics()[3].circuitBreaker.threshold).to.equal(3)
+      expect(bus.describeTopics()[3].history.size).to.equal(10)
+    })
+
+    it('must return a copy of each schema', () => {
+      const schema = { type: 'string' }
+
+      bus.addTopic({ name: 'TEST', payload: schema })
+      bus.describeTopics()[3].payload.schema.type = 'number'
+
+      expect(() => {
+        bus.say(bus.topics.TEST, 42)
+      }).to.throw(TypeError)
+    })
+
+    it('must reflect changes made by a later descriptor for the same topic', () => {
+      bus.addTopic({ name: 'TEST', description: 'first', owner: 'me' })
+      bus.addTopic({ name: 'TEST', description: 'second' })
+
+      const actual = bus.describeTopics()[3]
+
+      expect(actual.description).to.equal('second')
+      expect(actual.owner).to.equal('me')
+    })
+
+    it('must allow a validator to be removed by a later descriptor', () => {
+      bus.addTopic({ name: 'TEST', payload: { type: 'string' } })
+      bus.addTopic({ name: 'TEST', payload: null })
+
+      expect(bus.describeTopics()[3].payload).to.equal(null)
+    })
+  })
+
+  describe('the "addTopic" method, with a descriptor containing metadata', () => {
+    it('must throw an error if a metadata property has the wrong type', () => {
+      expect(() => {
+        bus.addTopic({ name: 'TEST', owner: 42 })
+      }).to.throw(TypeError, 'The "owner" property of the descriptor for topic "TEST" must be of type string.')
+
+      expect(() => {
+        bus.addTopic({ name: 'TEST', deprecated: 1 })
+      }).to.throw(TypeError, 'The "deprecated" property of the descriptor for topic "TEST" must be of type boolean or string.')
+    })
+  })
+
+  describe('the use of a deprecated topic', () => {
+    /**
+     * The messages written by the "debug" module while each test runs.
+     * @type {Array}
+     */
+    let messages = null
+
+    /**
+     * The original settings of the "debug" module, which are restored after
+     * each test.
+     */
+    let originalLog = null
+    let originalNamespaces = null
+
+    beforeEach(() => {
+      messages = []
+      originalLog = debugModule.log
+      originalNamespaces = debugModule.disable()
+
+      debugModule.log = (...args) => { messages.push(format(...args)) }
+      debugModule.enable('topico')
+
+      bus.addTopic([
+        { name: 'OLD', deprecated: true },
+        { name: 'OLDER', deprecated: 'Use NEW instead.' },
+        'NEW'
+      ])
+    })
+
+    afterEach(() => {
+      debugModule.log = originalLog
+      debugModule.enable(originalNamespaces)
+    })
+
+    /**
+     * Returns the warnings that were logged.
+     *
+     * @return {Array}
+     */
+    function warnings () {
+      return messages.filter((message) => { return /WARNING/.test(message) })
+    }
+
+    it('must log a warning when "say" is called', () => {
+      bus.say(bus.topics.OLD)
+
+      expect(warnings()).to.have.lengthOf(1)
+      expect(warnings()[0]).to.include('The topic "OLD" is deprecated.')
+    })
+
+    it('must log a warning when "listen", "listenOnce", or "listenFor" is called', () => {
+      bus.listen(bus.topics.OLD, () => {})
+      bus.listenOnce(bus.topics.OLDER, () => {})
+
+      expect(warnings()).to.have.lengthOf(2)
+
+      bus.addTopic({ name: 'OLD', deprecated: 'Really.' })
+      bus.listenFor(bus.topics.OLD, 'x', () => {})
+
+      expect(warnings()).to.have.lengthOf(3)
+    })
+
+    it('must include the explanation, if there is one', () => {
+      bus.say(bus.topics.OLDER)
+
+      expect(warnings()[0]).to.include('The topic "OLDER" is deprecated. Use NEW instead.')
+    })
+
+    it('must only log the warning once per topic', () => {
+      bus.listen(bus.topics.OLD, () => {})
+      bus.say(bus.topics.OLD)
+      bus.say(bus.topics.OLD)
+
+      expect(warnings()).to.have.lengthOf(1)
+    })
+
+    it('must not log a warning for a topic that is not deprecated', () => {
+      bus.listen(bus.topics.NEW, () => {})
+      bus.say(bus.topics.NEW)
+
+      expect(warnings()).to.have.lengthOf(0)
+    })
+  })
+})
@@ -0,0 +1,244 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+const fakeTimers = require('@sinonjs/fake-timers')
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+describe('the "topico" module', function () {
+  /**
+   * @type {Object}
+   */
+  let bus = null
+
+  /**
+   * The events passed to the "onUnmatchedResponse" hook.
+   * @type {Array}
+   */
+  let events = null
+
+  /**
+   * The tracking number of the most recent request published on "USER_DATA".
+   * @type {String}
+   */
+  let trackingNo = null
+
+  /**
+   * Instead of waiting for all of the timeouts to pass in real-time, the
+   * fake clock allows us to "fast-forward" as needed.
+   * @type {Object}
+   */
+  let fastClock = null
+
+  before(() => {
+    fastClock = fakeTimers.install()
+  })
+
+  after(() => {
+    fastClock.uninstall()
+  })
+
+  beforeEach(() => {
+    events = []
+    trackingNo = null
+
+    bus = T.createBus({
+      topics: 'USER_DATA',
+      requestTTL: 1000,
+      onUnmatchedResponse: (event) => { events.push(event) }
+    })
+
+    bus.listen(bus.topics.USER_DATA, (payload) => {
+      trackingNo = payload.trackingNo
+    })
+  })
+
+  describe('the "createBus" function', () => {
+    it('must throw an error if the "onUnmatchedResponse" option is not a function', () => {
+      expect(() => {
+        T.createBus({ onUnmatchedResponse: 'log' })
+      }).to.throw(T.InvalidArgumentError, 'The "onUnmatchedResponse" option must be a function.')
+    })
+  })
+
+  describe('the "respond" method', () => {
+    it('must return true if the response was delivered', () => {
+      const promise = bus.request(bus.topics.USER_DATA, 'query')
+
+      expect(bus.respond(trackingNo, 'answer')).to.equal(true)
+      expect(events).to.deep.equal([])
+
+      return expect(promise).to.eventually.equal('answer')
+    })
+
+    it('must return false if the request stopped listening when "cancelAll" was called', () => {
+      const promise = bus.request(bus.topics.USER_DATA, 'query')
+
+      bus.cancelAll()
+
+      expect(bus.respond(trackingNo, 'answer')).to.equal(false)
+      fastClock.tick(1000)
+
+      return expect(promise).to.be.rejectedWith(T.RequestTimeoutError)
+    })
+
+    it('must report a response that arrives after the request timed out as "expired"', () => {
+      const promise = bus.request(bus.topics.USER_DATA, 'query')
+
+      fastClock.tick(1500)
+
+      expect(bus.respond(trackingNo, 'answer')).to.equal(false)
+      expect(events).to.deep.equal([{
+        reason: 'expired',
+        topic: 'USER_DATA',
+        trackingNo: trackingNo,
+        elapsedMs: 1500,
+        response: 'answer'
+      }])
+
+      return expect(promise).to.be.rejectedWith(T.RequestTimeoutError)
+    })
+
+    it('must report a response to an aborted request as "expired"', () => {
+      const listeners = []
+      const signal = {
+        aborted: false,
+        addEventListener: (type, fn) => { listeners.push(fn) },
+        removeEventListener: () => {}
+      }
+
+      const promise = bus.request(bus.topics.USER_DATA, 'query', { signal: signal })
+
+      listeners.forEach((fn) => { fn() })
+      bus.respond(trackingNo, 'answer')
+
+      expect(events.map((event) => event.reason)).to.deep.equal(['expired'])
+
+      return expect(promise).to.be.rejected
+    })
+
+    it('must report a second response to the same request as "duplicate"', () => {
+      const promise = bus.request(bus.topics.USER_DATA, 'query')
+
+      bus.respond(trackingNo, 'first')
+      fastClock.tick(20)
+
+      expect(bus.respond(trackingNo, 'second')).to.equal(false)
+      expect(events).to.deep.equal([{
+        reason: 'duplicate',
+        topic: 'USER_DATA',
+        trackingNo: trackingNo,
+        elapsedMs: 20,
+        response: 'second'
+      }])
+
+      return expect(promise).to.eventually.equal('first')
+    })
+
+    it('must report a response with a tracking number that was never issued as "unknown"', () => {
+      expect(bus.respond('typo', 'answer')).to.equal(false)
+      expect(events).to.deep.equal([{
+        reason: 'unknown',
+        topic: null,
+        trackingNo: 'typo',
+        elapsedMs: null,
+        response: 'answer'
+      }])
+    })
+
+    it('must pass a frozen object to the hook', () => {
+      bus.respond('typo', 'answer')
+
+      expect(Object.isFrozen(events[0])).to.equal(true)
+    })
+
+    it('must not throw an error if the hook does', () => {
+      const faulty = T.createBus({
+        onUnmatchedResponse: () => { throw new Error('broken hook') }
+      })
+
+      expect(faulty.respond('typo', 'answer')).to.equal(false)
+    })
+
+    it('must forget about the oldest finished requests after a while', () => {
+      const first = bus.request(bus.topics.USER_DATA, 'query')
+      const firstTrackingNo = trackingNo
+
+      bus.respond(firstTrackingNo, 'answer')
+
+      for (let i = 0; i < 1000; i++) {
+        bus.request(bus.topics.USER_DATA, 'query')
+        bus.respond(trackingNo, 'answer')
+      }
+
+      bus.respond(firstTrackingNo, 'again')
+
+      expect(events.map((event) => event.reason)).to.deep.equal(['unknown'])
+
+      return expect(first).to.eventually.equal('answer')
+    })
+
+    it('must throw an error in strict mode only if the tracking number is unknown', () => {
+      const strict = T.createBus({ topics: 'USER_DATA', strict: true })
+
+      strict.listen(strict.topics.USER_DATA, (payload) => {
+        trackingNo = payload.trackingNo
+      })
+
+      const promise = strict.request(strict.topics.USER_DATA, 'query')
+
+      strict.respond(trackingNo, 'first')
+
+      expect(strict.respond(trackingNo, 'second')).to.equal(false)
+      expect(() => {
+        strict.respond('typo', 'answer')
+      }).to.throw(T.UnknownTrackingNumberError)
+
+      return expect(promise).to.eventually.equal('first')
+    })
+  })
+
+  describe('the "respondError" method', () => {
+    it('must return whether the error was delivered', () => {
+      const promise = bus.request(bus.topics.USER_DATA, 'query')
+
+      expect(bus.respondError(trackingNo, new Error('first'))).to.equal(true)
+      expect(bus.respondError(trackingNo, new Error('second'))).to.equal(false)
+      expect(events.map((event) => event.reason)).to.deep.equal(['duplicate'])
+
+      return expect(promise).to.be.rejectedWith('first')
+    })
+  })
+
+  describe('the "requestStream" method', () => {
+    it('must report a chunk that arrives after the response has ended as "duplicate"', () => {
+      const stream = bus.requestStream(bus.topics.USER_DATA, 'query')
+
+      expect(bus.respond.next(trackingNo, 'page 1')).to.equal(true)
+      expect(bus.respond.end(trackingNo)).to.equal(true)
+      expect(bus.respond.next(trackingNo, 'page 2')).to.equal(false)
+      expect(events.map((event) => event.reason)).to.deep.equal(['duplicate'])
+
+      return stream.return()
+    })
+
+    it('must report a chunk that arrives after the consumer stopped iterating as "expired"', () => {
+      const stream = bus.requestStream(bus.topics.USER_DATA, 'query')
+
+      return stream.return().then(() => {
+        expect(bus.respond.next(trackingNo, 'page 1')).to.equal(false)
+        expect(events.map((event) => event.reason)).to.deep.equal(['expired'])
+      })
+    })
+  })
+})
@@ -0,0 +1,200 @@
+/* eslint-env mocha */
+
+/**
+ * The following statement is required to ensure that no errors are silently
+ * ignored (including those that would otherwise not be thrown when attempting
+ * to add or remove properties from a JS object).
+ */
+'use strict'
+
+/**
+ * Code under test.
+ * @type {any}
+ */
+const T = require('../index.js')
+
+/**
+ * Calls `done` after the current round of asynchronous activity has finished,
+ * once `assertions` has run without throwing.
+ *
+ * @param  {Function}   done         The callback provided by mocha.
+ *
+ * @param  {Function}   assertions   The function containing the assertions.
+ *
+ * @return {undefined}
+ */
+function verifyLater (done, assertions) {
+  global.setTimeout(() => {
+    try {
+      assertions()
+      done()
+    } catch (e) {
+      done(e)
+    }
+  }, 10)
+}
+
+describe('the "topico" module', function () {
+  afterEach(() => {
+    T.cancelAll()
+  })
+
+  describe('the subscription handle', () => {
+    const methods = {
+      listen: (callback) => T.listen(T.topics.INFO, callback),
+      listenOnce: (callback) => T.listenOnce(T.topics.INFO, callback),
+      listenFor: (callback) => T.listenFor(T.topics.INFO, 'hello', callback)
+    }
+
+    Object.keys(methods).forEach((name) => {
+      describe(`returned from "${name}"`, () => {
+        it('must have a method called "unsubscribe"', () => {
+          const handle = methods[name](() => {})
+
+          expect(handle.unsubscribe).to.be.a('function')
+        })
+
+        it('must be frozen', () => {
+          const handle = methods[name](() => {})
+
+          expect(Object.isFrozen(handle)).to.equal(true)
+        })
+
+        it('must remove the listener when "unsubscribe" is called', (done) => {
+          const actual = []
+          const handle = methods[name]((data) => { actual.push('removed') })
+
+          T.listen(T.topics.INFO, (data) => { actual.push('kept') })
+
+          handle.unsubscribe()
+          T.say(T.topics.INFO, 'hello')
+
+          verifyLater(done, () => {
+            expect(actual).to.deep.equal(['kept'])
+          })
+        })
+
+        it('must not throw if "unsubscribe" is called more than once', () => {
+          const handle = methods[name](() => {})
+
+          expect(() => {
+            handle.unsubscribe()
+            handle.unsubscribe()
+          }).to.not.throw()
+        })
+
+        if (typeof Symbol.dispose === 'symbol') {
+          it('must remove the listener when disposed', (done) => {
+            const actual = []
+            const handle = methods[name]((data) => { actual.push('removed') })
+
+            handle[Symbol.dispose]()
+            T.say(T.topics.INFO, 'hello')
+
+            verifyLater(done, () => {
+              expect(actual).to.deep.equal([])
+            })
+          })
+        }
+      })
+    })
+
+    it('must not remove a second registration of the same callback if it was already removed', (done) => {
+      const actual = []
+      const callback = (data) => { actual.push(data) }
+
+      const first = T.listen(T.topics.INFO, callback)
+
+      first.unsubscribe()
+      T.listen(T.topics.INFO, callback)
+      first.unsubscribe()
+
+      T.say(T.topics.INFO, 'hello')
+
+      verifyLater(done, () => {
+        expect(actual).to.deep.equal(['hello'])
+      })
+    })
+  })
+
+  it('must have a method called "unlisten"', () => {
+    const expected = 'function'
+    const actual = typeof T.unlisten
+
+    expect(actual).to.equal(expected)
+  })
+
+  describe('the "unlisten" method', () => {
+    const ERR_INVALID_TOPIC = 'The "topic" parameter for "unlisten()" is required and must be a value from "topics".'
+    const ERR_INVALID_FUNC = 'The "callback" parameter for "unlisten()" is required and must be a function.'
+
+    it('must throw an error if the first parameter is missing', () => {
+      expect(() => {
+        T.unlisten()
+      }).to.throw(TypeError, ERR_INVALID_TOPIC)
+    })
+
+    it('must throw an error if the first parameter is not a member of ".topics"', () => {
+      expect(() => {
+        T.unlisten('topic')
+      }).to.throw(TypeError, ERR_INVALID_TOPIC)
+    })
+
+    it('must throw an error if the second parameter is not a function', () => {
+      expect(() => {
+        T.unlisten(T.topics.INFO, 'callback')
+      }).to.throw(TypeError, ERR_INVALID_FUNC)
+    })
+
+    it('must not throw an error if there are no listeners on the topic', () => {
+      expect(() => {
+        T.unlisten(T.topics.INFO, () => {})
+      }).to.not.throw()
+    })
+
+    it('must only remove the specified callback', (done) => {
+      const actual = []
+      const callback = () => { actual.push('removed') }
+
+      T.listen(T.topics.INFO, callback)
+      T.listen(T.topics.INFO, () => { actual.push('kept') })
+
+      T.unlisten(T.topics.INFO, callback)
+      T.say(T.topics.INFO, 'hello')
+
+      verifyLater(done, () => {
+        expect(actual).to.deep.equal(['kept'])
+      })
+    })
+
+    it('must remove a callback that was registered with "listenFor"', (done) => {
+      const actual = []
+      const callback = () => { actual.push('removed') }
+
+      T.listenFor(T.topics.INFO, 'hello', callback)
+
+      T.unlisten(T.topics.INFO, callback)
+      T.say(T.topics.INFO, 'hello')
+
+      verifyLater(done, () => {
+        expect(actual).to.deep.equal([])
+      })
+    })
+
+    it('must not affect the same callback on a different topic', (done) => {
+      const actual = []
+      const callback = (data) => { actual.push(data) }
+
+      T.listen(T.topics.INFO, callback)
+      T.listen(T.topics.ERROR, callback)
+
+      T.unlisten(T.topics.INFO, callback)
+      T.say(T.topics.INFO, 'info')
+      T.say(T.topics.ERROR, 'error')
+
+      verifyLater(done, () => {
+        expect(actual).to.deep.equal(['error'])
+      })
+    })
+  })
+})